@@ -0,0 +1,383 @@
+-- =====================================================
+-- MIGRATION: ROLES TABLE AND MEMBER MANAGEMENT
+-- =====================================================
+-- Brings a live database created by an earlier reset-railway-database.sql up to the current schema
+-- without dropping data: roles move from the user_role ENUM to the roles table, and the tables and
+-- columns for sessions, tokens, 2FA, invitations, role history, elections, the audit log and so on
+-- are created. Safe to run more than once.
+--
+-- Usage: node run-migration.js migrations/member-management.sql
+
+BEGIN;
+
+-- Step 1: Roles table (built-in roles cannot be renamed or deleted; renames cascade to users)
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    is_builtin BOOLEAN DEFAULT FALSE,
+    is_office BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, description, is_builtin, is_office) VALUES
+    ('Admin', 'Full access', TRUE, FALSE),
+    ('President', 'View private profiles, manage the timeline, invite members', TRUE, TRUE),
+    ('Secretary', 'Manage events, attendance and blogs, invite members', TRUE, TRUE),
+    ('Member', 'Basic access', TRUE, FALSE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Step 2: users.role and role_permissions.role become text referencing roles
+ALTER TABLE users ALTER COLUMN role DROP DEFAULT;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50) USING role::TEXT;
+UPDATE users SET role = 'Member' WHERE role IS NULL;
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'Member';
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+ALTER TABLE role_permissions ALTER COLUMN role TYPE VARCHAR(50) USING role::TEXT;
+ALTER TABLE role_permissions ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN DEFAULT FALSE;
+ALTER TABLE role_permissions DROP CONSTRAINT IF EXISTS role_permissions_role_fkey;
+ALTER TABLE role_permissions ADD CONSTRAINT role_permissions_role_fkey
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE;
+
+DROP TYPE IF EXISTS user_role;
+
+-- Step 3: Built-in roles still on the old default permissions get the new defaults.
+-- Roles whose permissions were changed by hand are left alone; review them with GET /api/admin/roles.
+UPDATE role_permissions
+SET permissions = ARRAY['view_public_profiles', 'view_private_profiles', 'edit_own_profile', 'edit_any_profile', 'connect_members', 'rsvp_events', 'view_timeline', 'create_timeline_posts', 'update_timeline_posts', 'delete_timeline_posts', 'create_polls', 'vote_polls', 'invite_members']::TEXT[]
+WHERE role = 'President'
+  AND permissions = ARRAY['view_private_profiles', 'view_events', 'view_blogs']::TEXT[];
+
+UPDATE role_permissions
+SET permissions = ARRAY['view_public_profiles', 'edit_own_profile', 'connect_members', 'rsvp_events', 'create_events', 'update_events', 'delete_events', 'view_attendees', 'check_in_attendees', 'create_blogs', 'update_blogs', 'delete_blogs', 'view_timeline', 'create_polls', 'vote_polls', 'invite_members']::TEXT[]
+WHERE role = 'Secretary'
+  AND permissions = ARRAY['create_events', 'update_events', 'delete_events', 'create_blogs', 'update_blogs', 'delete_blogs', 'view_events', 'view_blogs']::TEXT[];
+
+UPDATE role_permissions
+SET permissions = ARRAY['view_public_profiles', 'edit_own_profile', 'connect_members', 'rsvp_events', 'view_timeline', 'create_polls', 'vote_polls']::TEXT[]
+WHERE role = 'Member'
+  AND permissions = ARRAY['view_public_profiles', 'view_events', 'view_blogs', 'create_own_blog']::TEXT[];
+
+-- Step 4: New columns on users and blog_posts. Existing members start as active (or applicant while
+-- not yet activated) and existing posts keep their published state.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'membership_status'
+    ) THEN
+        ALTER TABLE users
+            ADD COLUMN membership_status VARCHAR(20) NOT NULL DEFAULT 'applicant'
+                CHECK (membership_status IN ('applicant', 'active', 'lapsed', 'alumni')),
+            ADD COLUMN membership_status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        UPDATE users SET membership_status = 'active' WHERE is_active;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'blog_posts' AND column_name = 'status'
+    ) THEN
+        ALTER TABLE blog_posts
+            ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'submitted'
+                CHECK (status IN ('draft', 'submitted', 'changes_requested', 'approved', 'rejected', 'unpublished')),
+            ADD COLUMN status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ADD COLUMN submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        UPDATE blog_posts SET status = 'approved' WHERE is_available;
+    END IF;
+END $$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+
+-- Step 5: New tables (same definitions as reset-railway-database.sql)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_refresh_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id VARCHAR(10) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key_type VARCHAR(10) NOT NULL CHECK (key_type IN ('account', 'ip')),
+    key_value VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP,
+    last_failed_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    UNIQUE(key_type, key_value)
+);
+
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(32) UNIQUE NOT NULL,
+    email VARCHAR(255),
+    role VARCHAR(50) DEFAULT 'Member' REFERENCES roles(name) ON UPDATE CASCADE,
+    max_uses INTEGER NOT NULL DEFAULT 1,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP,
+    created_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS invitation_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invitation_id UUID REFERENCES invitations(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_hint VARCHAR(4) NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blog_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    blog_id VARCHAR(10) REFERENCES blog_posts(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    comment TEXT,
+    changed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS membership_status_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_suspensions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP,
+    suspended_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    lifted_at TIMESTAMP,
+    lifted_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    lift_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS impersonations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+    reason TEXT,
+    ip_address VARCHAR(45),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS admin_promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    requested_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    effective_from DATE,
+    effective_to DATE,
+    expires_at TIMESTAMP NOT NULL,
+    confirmed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id VARCHAR(10),
+    actor_username VARCHAR(100),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    before JSONB,
+    after JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS elections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    role VARCHAR(50) NOT NULL,
+    nominations_open_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    nominations_close_at TIMESTAMP NOT NULL,
+    voting_closes_at TIMESTAMP NOT NULL,
+    term_starts_on DATE,
+    term_ends_on DATE,
+    poll_id VARCHAR(10) REFERENCES polls(id) ON DELETE SET NULL,
+    created_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    winner_id VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    certified_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    certified_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (nominations_close_at > nominations_open_at),
+    CHECK (voting_closes_at > nominations_close_at),
+    CHECK (term_ends_on IS NULL OR term_starts_on IS NULL OR term_ends_on >= term_starts_on)
+);
+
+CREATE TABLE IF NOT EXISTS election_candidates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    election_id UUID REFERENCES elections(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    nominated_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    statement TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'nominated' CHECK (status IN ('nominated', 'accepted', 'declined')),
+    responded_at TIMESTAMP,
+    poll_option_id UUID REFERENCES poll_options(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(election_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS election_voters (
+    election_id UUID REFERENCES elections(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (election_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS role_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    assigned_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    applied_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    end_reason VARCHAR(20) CHECK (end_reason IN ('term_ended', 'replaced', 'role_retired')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+CREATE TABLE IF NOT EXISTS membership_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    reason TEXT,
+    reviewed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    notified BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Step 6: Role history starts with everyone's current role
+INSERT INTO role_assignments (user_id, role, applied_at)
+SELECT u.id, u.role, CURRENT_TIMESTAMP
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM role_assignments ra WHERE ra.user_id = u.id);
+
+-- Step 7: Triggers
+DROP TRIGGER IF EXISTS update_roles_updated ON roles;
+CREATE TRIGGER update_roles_updated BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_user_two_factor_updated ON user_two_factor;
+CREATE TRIGGER update_user_two_factor_updated BEFORE UPDATE ON user_two_factor FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_elections_updated ON elections;
+CREATE TRIGGER update_elections_updated BEFORE UPDATE ON elections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the audit log append-only: every UPDATE, DELETE or TRUNCATE raises, whatever issues it
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only (% refused)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Step 8: Indexes
+CREATE INDEX IF NOT EXISTS idx_users_membership_status ON users(membership_status);
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_refresh_token_hash ON user_sessions(previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_locked_until ON login_attempts(locked_until);
+CREATE INDEX IF NOT EXISTS idx_invitation_redemptions_invitation_id ON invitation_redemptions(invitation_id);
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_membership_reviews_user_id ON membership_reviews(user_id);
+CREATE INDEX IF NOT EXISTS idx_role_assignments_user_id ON role_assignments(user_id);
+CREATE INDEX IF NOT EXISTS idx_role_assignments_role ON role_assignments(role);
+CREATE INDEX IF NOT EXISTS idx_elections_poll_id ON elections(poll_id);
+CREATE INDEX IF NOT EXISTS idx_election_candidates_election_id ON election_candidates(election_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_promotions_user_id ON admin_promotions(user_id);
+CREATE INDEX IF NOT EXISTS idx_impersonations_admin_id ON impersonations(admin_id);
+CREATE INDEX IF NOT EXISTS idx_user_suspensions_user_id ON user_suspensions(user_id);
+CREATE INDEX IF NOT EXISTS idx_membership_status_changes_user_id ON membership_status_changes(user_id);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_status ON blog_posts(status);
+CREATE INDEX IF NOT EXISTS idx_blog_reviews_blog_id ON blog_reviews(blog_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+COMMIT;
@@ -5,6 +5,26 @@
 -- Run this in Railway PostgreSQL Query tab
 
 -- Step 1: Drop all tables (respecting foreign keys)
+DROP TABLE IF EXISTS blog_reviews CASCADE;
+DROP TABLE IF EXISTS membership_status_changes CASCADE;
+DROP TABLE IF EXISTS user_suspensions CASCADE;
+DROP TABLE IF EXISTS impersonations CASCADE;
+DROP TABLE IF EXISTS admin_promotions CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS election_voters CASCADE;
+DROP TABLE IF EXISTS election_candidates CASCADE;
+DROP TABLE IF EXISTS elections CASCADE;
+DROP TABLE IF EXISTS role_assignments CASCADE;
+DROP TABLE IF EXISTS membership_reviews CASCADE;
+DROP TABLE IF EXISTS personal_access_tokens CASCADE;
+DROP TABLE IF EXISTS invitation_redemptions CASCADE;
+DROP TABLE IF EXISTS invitations CASCADE;
+DROP TABLE IF EXISTS login_attempts CASCADE;
+DROP TABLE IF EXISTS two_factor_recovery_codes CASCADE;
+DROP TABLE IF EXISTS user_two_factor CASCADE;
+DROP TABLE IF EXISTS email_verification_tokens CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
 DROP TABLE IF EXISTS poll_votes CASCADE;
 DROP TABLE IF EXISTS poll_options CASCADE;
 DROP TABLE IF EXISTS polls CASCADE;
@@ -16,8 +36,9 @@ DROP TABLE IF EXISTS user_socials CASCADE;
 DROP TABLE IF EXISTS user_profiles CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 DROP TABLE IF EXISTS role_permissions CASCADE;
+DROP TABLE IF EXISTS roles CASCADE;
 
--- Step 2: Drop types
+-- Step 2: Drop types (roles used to be an ENUM)
 DROP TYPE IF EXISTS user_role CASCADE;
 
 -- Step 3: Now create everything fresh
@@ -25,9 +46,6 @@ DROP TYPE IF EXISTS user_role CASCADE;
 -- Enable UUID extension (still needed for other tables)
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
--- Create ENUM types
-CREATE TYPE user_role AS ENUM ('Admin', 'Member', 'President', 'Secretary');
-
 -- Create sequence for user IDs
 CREATE SEQUENCE IF NOT EXISTS user_id_seq START WITH 1;
 
@@ -133,14 +151,35 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Roles table (built-in roles cannot be renamed or deleted; renames cascade to users)
+CREATE TABLE roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    is_builtin BOOLEAN DEFAULT FALSE,
+    is_office BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, description, is_builtin, is_office) VALUES
+    ('Admin', 'Full access', TRUE, FALSE),
+    ('President', 'View private profiles, manage the timeline, invite members', TRUE, TRUE),
+    ('Secretary', 'Manage events, attendance and blogs, invite members', TRUE, TRUE),
+    ('Member', 'Basic access', TRUE, FALSE);
+
 -- Users table (with correct columns)
 CREATE TABLE users (
     id VARCHAR(10) PRIMARY KEY,
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
     username VARCHAR(100) UNIQUE NOT NULL,
-    role user_role DEFAULT 'Member',
+    role VARCHAR(50) NOT NULL DEFAULT 'Member' REFERENCES roles(name) ON UPDATE CASCADE,
     is_active BOOLEAN DEFAULT FALSE,
+    membership_status VARCHAR(20) NOT NULL DEFAULT 'applicant' CHECK (membership_status IN ('applicant', 'active', 'lapsed', 'alumni')),
+    membership_status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    email_verified_at TIMESTAMP,
+    deletion_requested_at TIMESTAMP,
+    deletion_scheduled_for TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -253,6 +292,9 @@ CREATE TABLE blog_posts (
     title VARCHAR(500) NOT NULL,
     blog_content TEXT NOT NULL,
     is_available BOOLEAN DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted' CHECK (status IN ('draft', 'submitted', 'changes_requested', 'approved', 'rejected', 'unpublished')),
+    status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     author_id VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -321,22 +363,278 @@ CREATE TRIGGER generate_poll_id_trigger
     WHEN (NEW.id IS NULL)
     EXECUTE FUNCTION generate_poll_id();
 
+-- User Sessions table (refresh tokens, one row per signed-in device)
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+    previous_refresh_token_hash VARCHAR(64),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+-- Password Reset Tokens table (hashed, single-use)
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email Verification Tokens table (hashed, single-use, bound to the address being verified)
+CREATE TABLE email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Two-Factor table (TOTP secret; enabled once the first code is confirmed)
+CREATE TABLE user_two_factor (
+    user_id VARCHAR(10) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret VARCHAR(64) NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-Factor Recovery Codes table (hashed, single-use)
+CREATE TABLE two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login Attempts table (failed signin counters and lockouts per account email or IP)
+CREATE TABLE login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key_type VARCHAR(10) NOT NULL CHECK (key_type IN ('account', 'ip')),
+    key_value VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP,
+    last_failed_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    UNIQUE(key_type, key_value)
+);
+
+-- Invitations table (codes that pre-approve membership, optionally with a role)
+CREATE TABLE invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(32) UNIQUE NOT NULL,
+    email VARCHAR(255),
+    role VARCHAR(50) DEFAULT 'Member' REFERENCES roles(name) ON UPDATE CASCADE,
+    max_uses INTEGER NOT NULL DEFAULT 1,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP,
+    created_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invitation Redemptions table
+CREATE TABLE invitation_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invitation_id UUID REFERENCES invitations(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal Access Tokens table (hashed API tokens scoped to a subset of the owner's permissions)
+CREATE TABLE personal_access_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    token_hint VARCHAR(4) NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Blog Reviews table (moderation history of a post: reviewer decisions and author submissions, with comments)
+CREATE TABLE blog_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    blog_id VARCHAR(10) REFERENCES blog_posts(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    comment TEXT,
+    changed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Membership Status Changes table (history of applicant/active/lapsed/alumni transitions)
+CREATE TABLE membership_status_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Suspensions table (a suspension is in force until ends_at, if set, or until lifted)
+CREATE TABLE user_suspensions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP,
+    suspended_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    lifted_at TIMESTAMP,
+    lifted_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    lift_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Impersonations table ("view as member" sessions started by an Admin; tokens stop working once ended)
+CREATE TABLE impersonations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admin_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+    reason TEXT,
+    ip_address VARCHAR(45),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP
+);
+
+-- Admin Promotions table (promotions to Admin wait here until a second Admin confirms them)
+CREATE TABLE admin_promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    requested_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    effective_from DATE,
+    effective_to DATE,
+    expires_at TIMESTAMP NOT NULL,
+    confirmed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit Log table (append-only record of privileged actions, enforced by the audit_log_* triggers below;
+-- no foreign keys so entries outlive their actors and targets)
+CREATE TABLE audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id VARCHAR(10),
+    actor_username VARCHAR(100),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    before JSONB,
+    after JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Elections table (officer elections; the ballot is a poll opened when nominations close, role is text like role_assignments)
+CREATE TABLE elections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    role VARCHAR(50) NOT NULL,
+    nominations_open_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    nominations_close_at TIMESTAMP NOT NULL,
+    voting_closes_at TIMESTAMP NOT NULL,
+    term_starts_on DATE,
+    term_ends_on DATE,
+    poll_id VARCHAR(10) REFERENCES polls(id) ON DELETE SET NULL,
+    created_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    winner_id VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    certified_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    certified_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (nominations_close_at > nominations_open_at),
+    CHECK (voting_closes_at > nominations_close_at),
+    CHECK (term_ends_on IS NULL OR term_starts_on IS NULL OR term_ends_on >= term_starts_on)
+);
+
+-- Election Candidates table (nominations; only accepted candidates go on the ballot)
+CREATE TABLE election_candidates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    election_id UUID REFERENCES elections(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    nominated_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    statement TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'nominated' CHECK (status IN ('nominated', 'accepted', 'declined')),
+    responded_at TIMESTAMP,
+    poll_option_id UUID REFERENCES poll_options(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(election_id, user_id)
+);
+
+-- Election Voters table (who has voted; ballots in poll_votes carry no user_id, keeping the vote secret)
+CREATE TABLE election_voters (
+    election_id UUID REFERENCES elections(id) ON DELETE CASCADE,
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (election_id, user_id)
+);
+
+-- Role Assignments table (role history and officer terms; role is kept as text so history survives a role being retired)
+CREATE TABLE role_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) NOT NULL,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    assigned_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    applied_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    end_reason VARCHAR(20) CHECK (end_reason IN ('term_ended', 'replaced', 'role_retired')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Membership Reviews table (approve/reject decisions on pending accounts and who made them)
+CREATE TABLE membership_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(10) REFERENCES users(id) ON DELETE CASCADE,
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('approved', 'rejected')),
+    reason TEXT,
+    reviewed_by VARCHAR(10) REFERENCES users(id) ON DELETE SET NULL,
+    notified BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Role Permissions table
 CREATE TABLE role_permissions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    role user_role NOT NULL,
+    role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
     permissions TEXT[] NOT NULL,
+    require_two_factor BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(role)
 );
 
 -- Insert default role permissions
+-- Every route checks one of these permissions; '*' grants all of them
 INSERT INTO role_permissions (role, permissions) VALUES
     ('Admin', ARRAY['*']::TEXT[]),
-    ('President', ARRAY['view_private_profiles', 'view_events', 'view_blogs']::TEXT[]),
-    ('Secretary', ARRAY['create_events', 'update_events', 'delete_events', 'create_blogs', 'update_blogs', 'delete_blogs', 'view_events', 'view_blogs']::TEXT[]),
-    ('Member', ARRAY['view_public_profiles', 'view_events', 'view_blogs', 'create_own_blog']::TEXT[]);
+    ('President', ARRAY['view_public_profiles', 'view_private_profiles', 'edit_own_profile', 'edit_any_profile', 'connect_members', 'rsvp_events', 'view_timeline', 'create_timeline_posts', 'update_timeline_posts', 'delete_timeline_posts', 'create_polls', 'vote_polls', 'invite_members']::TEXT[]),
+    ('Secretary', ARRAY['view_public_profiles', 'edit_own_profile', 'connect_members', 'rsvp_events', 'create_events', 'update_events', 'delete_events', 'view_attendees', 'check_in_attendees', 'create_blogs', 'update_blogs', 'delete_blogs', 'view_timeline', 'create_polls', 'vote_polls', 'invite_members']::TEXT[]),
+    ('Member', ARRAY['view_public_profiles', 'edit_own_profile', 'connect_members', 'rsvp_events', 'view_timeline', 'create_polls', 'vote_polls']::TEXT[]);
 
 -- Create trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -358,13 +656,29 @@ CREATE TRIGGER update_event_attendees_updated BEFORE UPDATE ON event_attendees F
 CREATE TRIGGER update_blog_posts_updated BEFORE UPDATE ON blog_posts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_timeline_posts_updated BEFORE UPDATE ON timeline_posts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_polls_updated BEFORE UPDATE ON polls FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_roles_updated BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_role_permissions_updated BEFORE UPDATE ON role_permissions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_user_two_factor_updated BEFORE UPDATE ON user_two_factor FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_elections_updated BEFORE UPDATE ON elections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the audit log append-only: every UPDATE, DELETE or TRUNCATE raises, whatever issues it
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only (% refused)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
 
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_users_is_active ON users(is_active);
+CREATE INDEX idx_users_membership_status ON users(membership_status);
+CREATE INDEX idx_users_deletion_scheduled_for ON users(deletion_scheduled_for);
 CREATE INDEX idx_user_profiles_user_id ON user_profiles(user_id);
 CREATE INDEX idx_community_events_event_host ON community_events(event_host);
 CREATE INDEX idx_blog_posts_author_id ON blog_posts(author_id);
@@ -376,6 +690,28 @@ CREATE INDEX idx_poll_options_poll_id ON poll_options(poll_id);
 CREATE INDEX idx_poll_votes_poll_id ON poll_votes(poll_id);
 CREATE INDEX idx_poll_votes_option_id ON poll_votes(option_id);
 CREATE INDEX idx_poll_votes_user_id ON poll_votes(user_id);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_refresh_token_hash ON user_sessions(previous_refresh_token_hash);
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+CREATE INDEX idx_login_attempts_locked_until ON login_attempts(locked_until);
+CREATE INDEX idx_invitation_redemptions_invitation_id ON invitation_redemptions(invitation_id);
+CREATE INDEX idx_personal_access_tokens_user_id ON personal_access_tokens(user_id);
+CREATE INDEX idx_membership_reviews_user_id ON membership_reviews(user_id);
+CREATE INDEX idx_role_assignments_user_id ON role_assignments(user_id);
+CREATE INDEX idx_role_assignments_role ON role_assignments(role);
+CREATE INDEX idx_elections_poll_id ON elections(poll_id);
+CREATE INDEX idx_election_candidates_election_id ON election_candidates(election_id);
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX idx_admin_promotions_user_id ON admin_promotions(user_id);
+CREATE INDEX idx_impersonations_admin_id ON impersonations(admin_id);
+CREATE INDEX idx_user_suspensions_user_id ON user_suspensions(user_id);
+CREATE INDEX idx_membership_status_changes_user_id ON membership_status_changes(user_id);
+CREATE INDEX idx_blog_posts_status ON blog_posts(status);
+CREATE INDEX idx_blog_reviews_blog_id ON blog_reviews(blog_id);
+CREATE INDEX idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id);
 
 -- Verify tables were created
 DO $$
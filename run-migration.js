@@ -77,7 +77,7 @@ const migrationFile = process.argv[2];
 
 if (!migrationFile) {
   console.error('Usage: node run-migration.js <migration-file.sql>');
-  console.error('No migration files are bundled anymore—use the consolidated reset/initialization scripts.');
+  console.error('Migrations live in migrations/, e.g. node run-migration.js migrations/member-management.sql');
   process.exit(1);
 }
 
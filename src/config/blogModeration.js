@@ -0,0 +1,76 @@
+// Blog moderation: where a post stands between its author and the public. Only approved posts are
+// published (is_available mirrors that). Authors move their own posts into draft and submitted;
+// every other status is a reviewer's decision. authorEdits says whether the author may still edit
+// the post themselves (editors with update_blogs always can).
+const BLOG_STATUSES = [
+  {
+    name: 'draft',
+    description: 'Being written; only the author sees it',
+    reviewer: false,
+    authorEdits: true,
+    transitions: ['submitted']
+  },
+  {
+    name: 'submitted',
+    description: 'Waiting in the review queue',
+    reviewer: false,
+    authorEdits: true,
+    transitions: ['approved', 'changes_requested', 'rejected', 'draft']
+  },
+  {
+    name: 'changes_requested',
+    description: "Sent back to the author with the reviewer's comments; resubmitting puts it back in the queue",
+    reviewer: true,
+    authorEdits: true,
+    transitions: ['submitted', 'draft']
+  },
+  {
+    name: 'approved',
+    description: 'Published',
+    reviewer: true,
+    authorEdits: false,
+    transitions: ['unpublished']
+  },
+  {
+    name: 'rejected',
+    description: 'Not suitable for the blog; final',
+    reviewer: true,
+    authorEdits: false,
+    transitions: []
+  },
+  {
+    name: 'unpublished',
+    description: 'Taken down after being published; a reviewer can publish it again or the author can revise and resubmit',
+    reviewer: true,
+    authorEdits: true,
+    transitions: ['approved', 'submitted']
+  }
+];
+
+const BLOG_STATUS_NAMES = BLOG_STATUSES.map(status => status.name);
+
+const findBlogStatus = (name) => BLOG_STATUSES.find(status => status.name === name);
+
+const canTransitionBlog = (from, to) => {
+  const status = findBlogStatus(from);
+  return Boolean(status && status.transitions.includes(to));
+};
+
+const authorCanEdit = (name) => Boolean(findBlogStatus(name)?.authorEdits);
+
+// Statuses the given side can move a post to from its current status
+const allowedBlogTransitions = (from, { reviewer }) => {
+  const status = findBlogStatus(from);
+  if (!status) {
+    return [];
+  }
+  return status.transitions.filter(name => findBlogStatus(name).reviewer === reviewer);
+};
+
+module.exports = {
+  BLOG_STATUSES,
+  BLOG_STATUS_NAMES,
+  canTransitionBlog,
+  allowedBlogTransitions,
+  authorCanEdit
+};
@@ -1,179 +0,0 @@
--- Enable UUID extension
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
--- Create ENUM types
-CREATE TYPE user_role AS ENUM ('Admin', 'Member', 'President', 'Secretary');
-
--- Users table
-CREATE TABLE IF NOT EXISTS users (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password VARCHAR(255) NOT NULL,
-    username VARCHAR(100) UNIQUE NOT NULL,
-    role user_role DEFAULT 'Member',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- User Profiles table
-CREATE TABLE IF NOT EXISTS user_profiles (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    firstname VARCHAR(100),
-    lastname VARCHAR(100),
-    middlename VARCHAR(100),
-    about TEXT,
-    occupation VARCHAR(200),
-    phone_number VARCHAR(20),
-    date_of_birth DATE,
-    gender VARCHAR(20),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id)
-);
-
--- User Socials table
-CREATE TABLE IF NOT EXISTS user_socials (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    facebook_url VARCHAR(500),
-    github_url VARCHAR(500),
-    linkedin_url VARCHAR(500),
-    twitter_url VARCHAR(500),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id)
-);
-
--- User Addresses table
-CREATE TABLE IF NOT EXISTS user_addresses (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    street_number VARCHAR(50),
-    street_address VARCHAR(500),
-    post_code VARCHAR(50),
-    county VARCHAR(100),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id)
-);
-
--- User Connections table
-CREATE TABLE IF NOT EXISTS user_connections (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    connected_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'blocked')),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, connected_user_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_user_connections_user_id ON user_connections(user_id);
-CREATE INDEX IF NOT EXISTS idx_user_connections_connected_user_id ON user_connections(connected_user_id);
-CREATE INDEX IF NOT EXISTS idx_user_connections_status ON user_connections(status);
-
--- Community Events table
-CREATE TABLE IF NOT EXISTS community_events (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    event_name VARCHAR(300) NOT NULL,
-    event_address VARCHAR(500),
-    event_time TIME,
-    event_date DATE,
-    event_description TEXT,
-    event_host UUID REFERENCES users(id) ON DELETE SET NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Event Attendees table
-CREATE TABLE IF NOT EXISTS event_attendees (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    event_id UUID REFERENCES community_events(id) ON DELETE CASCADE,
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    status VARCHAR(20) DEFAULT 'registered' CHECK (status IN ('registered', 'checked_in', 'cancelled')),
-    checked_in_at TIMESTAMP,
-    checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(event_id, user_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_event_attendees_event_id ON event_attendees(event_id);
-CREATE INDEX IF NOT EXISTS idx_event_attendees_user_id ON event_attendees(user_id);
-CREATE INDEX IF NOT EXISTS idx_event_attendees_status ON event_attendees(status);
-
--- Blog Posts table
-CREATE TABLE IF NOT EXISTS blog_posts (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    title VARCHAR(500) NOT NULL,
-    blog_content TEXT NOT NULL,
-    is_available BOOLEAN DEFAULT FALSE,
-    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Role Permissions table (Dynamic permissions system)
-CREATE TABLE IF NOT EXISTS role_permissions (
-    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    role user_role NOT NULL,
-    permissions TEXT[] NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(role)
-);
-
--- Insert default role permissions
-INSERT INTO role_permissions (role, permissions) VALUES
-    ('Admin', ARRAY['*']::TEXT[]),
-    ('President', ARRAY['view_private_profiles', 'view_events', 'view_blogs']::TEXT[]),
-    ('Secretary', ARRAY['create_events', 'update_events', 'delete_events', 'create_blogs', 'update_blogs', 'delete_blogs', 'view_events', 'view_blogs']::TEXT[]),
-    ('Member', ARRAY['view_public_profiles', 'view_events', 'view_blogs', 'create_own_blog']::TEXT[])
-ON CONFLICT (role) DO NOTHING;
-
--- Create updated_at trigger function
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Add triggers for updated_at
-DROP TRIGGER IF EXISTS update_users_updated_at ON users;
-CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_user_profiles_updated_at ON user_profiles;
-CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON user_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_user_socials_updated_at ON user_socials;
-CREATE TRIGGER update_user_socials_updated_at BEFORE UPDATE ON user_socials FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_user_addresses_updated_at ON user_addresses;
-CREATE TRIGGER update_user_addresses_updated_at BEFORE UPDATE ON user_addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_user_connections_updated_at ON user_connections;
-CREATE TRIGGER update_user_connections_updated_at BEFORE UPDATE ON user_connections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_community_events_updated_at ON community_events;
-CREATE TRIGGER update_community_events_updated_at BEFORE UPDATE ON community_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_event_attendees_updated_at ON event_attendees;
-CREATE TRIGGER update_event_attendees_updated_at BEFORE UPDATE ON event_attendees FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_blog_posts_updated_at ON blog_posts;
-CREATE TRIGGER update_blog_posts_updated_at BEFORE UPDATE ON blog_posts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-DROP TRIGGER IF EXISTS update_role_permissions_updated_at ON role_permissions;
-CREATE TRIGGER update_role_permissions_updated_at BEFORE UPDATE ON role_permissions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
--- Create indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
-CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
-CREATE INDEX IF NOT EXISTS idx_community_events_event_host ON community_events(event_host);
-CREATE INDEX IF NOT EXISTS idx_blog_posts_author_id ON blog_posts(author_id);
-CREATE INDEX IF NOT EXISTS idx_blog_posts_is_available ON blog_posts(is_available);
@@ -0,0 +1,83 @@
+const { expandPermissions, findUnknownPermissions } = require('./permissions');
+
+// Membership lifecycle: where a member stands, separate from their role and from is_active
+// (which only controls whether the account can sign in at all).
+const MEMBERSHIP_STATUSES = [
+  {
+    name: 'applicant',
+    description: 'Signed up and waiting for approval',
+    transitions: [],
+    denied: []
+  },
+  {
+    name: 'active',
+    description: 'Current member',
+    transitions: ['lapsed', 'alumni'],
+    denied: []
+  },
+  {
+    name: 'lapsed',
+    description: "Hasn't renewed; can look around but not take part until they do",
+    transitions: ['active', 'alumni'],
+    denied: ['rsvp_events', 'vote_polls', 'create_events', 'create_polls', 'create_blogs', 'create_timeline_posts']
+  },
+  {
+    name: 'alumni',
+    description: 'Former member who moved on; keeps reading and posting on the timeline but no longer RSVPs or votes',
+    transitions: ['active', 'lapsed'],
+    denied: ['rsvp_events', 'vote_polls', 'create_events', 'create_polls']
+  }
+];
+
+const STATUS_NAMES = MEMBERSHIP_STATUSES.map(status => status.name);
+
+const findStatus = (name) => MEMBERSHIP_STATUSES.find(status => status.name === name);
+
+// Applicants only become members through approval/activation, never through a manual transition
+const canTransition = (from, to) => {
+  const status = findStatus(from);
+  return Boolean(status && status.transitions.includes(to));
+};
+
+// Membership statuses from a filter value: comma-separated ("lapsed,alumni"), repeated
+// (?membership_status=lapsed&membership_status=alumni, which arrives as an array), or both
+const parseStatusList = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  return [].concat(value).flatMap(item => String(item).split(',')).map(status => status.trim());
+};
+
+// Validation for an optional membership_status filter; chain is an express-validator query() or body() chain
+const membershipStatusRule = (chain) => chain.optional().custom(value => {
+  if (!parseStatusList(value).every(status => STATUS_NAMES.includes(status))) {
+    throw new Error(`membership_status must be a comma-separated list of ${STATUS_NAMES.join(', ')}`);
+  }
+  return true;
+});
+
+// What a role's permissions allow in a given membership status
+const applyStatusRules = (permissions, statusName) => {
+  const status = findStatus(statusName);
+  if (!status || status.denied.length === 0) {
+    return permissions;
+  }
+  return expandPermissions(permissions).filter(name => !status.denied.includes(name));
+};
+
+// A typo here would silently stop restricting anything, so fail at startup instead
+MEMBERSHIP_STATUSES.forEach(status => {
+  const unknown = findUnknownPermissions(status.denied);
+  if (unknown.length > 0) {
+    throw new Error(`Membership status ${status.name} denies unknown permissions: ${unknown.join(', ')}`);
+  }
+});
+
+module.exports = {
+  MEMBERSHIP_STATUSES,
+  STATUS_NAMES,
+  canTransition,
+  applyStatusRules,
+  parseStatusList,
+  membershipStatusRule
+};
@@ -0,0 +1,279 @@
+// Permission registry: every permission a role can be granted, what it allows and where it is checked.
+// Routes may only check permissions listed here, and role edits are validated against it.
+const PERMISSIONS = [
+  // Profiles
+  {
+    name: 'view_public_profiles',
+    area: 'Profiles',
+    description: 'Browse the member directory',
+    routes: ['GET /api/users']
+  },
+  {
+    name: 'view_private_profiles',
+    area: 'Profiles',
+    description: "See other members' private profile fields (contact details, address)",
+    routes: ['GET /api/profile/:identifier']
+  },
+  {
+    name: 'edit_own_profile',
+    area: 'Profiles',
+    description: 'Create and update your own profile',
+    routes: ['POST /api/profile', 'PUT /api/profile/:username']
+  },
+  {
+    name: 'edit_any_profile',
+    area: 'Profiles',
+    description: "Update other members' profiles",
+    routes: ['PUT /api/profile/:username']
+  },
+  {
+    name: 'connect_members',
+    area: 'Profiles',
+    description: 'Send and accept connection requests',
+    routes: ['POST /api/profile/connect/:userId', 'POST /api/profile/connect/:userId/accept']
+  },
+
+  // Events
+  {
+    name: 'create_events',
+    area: 'Events',
+    description: 'Create events and list possible hosts',
+    routes: ['POST /api/events', 'GET /api/events/users']
+  },
+  {
+    name: 'update_events',
+    area: 'Events',
+    description: 'Edit events and list possible hosts',
+    routes: ['PUT /api/events/:id', 'GET /api/events/users']
+  },
+  {
+    name: 'delete_events',
+    area: 'Events',
+    description: 'Delete events',
+    routes: ['DELETE /api/events/:id']
+  },
+  {
+    name: 'rsvp_events',
+    area: 'Events',
+    description: 'RSVP to events and cancel an RSVP',
+    routes: ['POST /api/events/:id/rsvp', 'DELETE /api/events/:id/rsvp']
+  },
+  {
+    name: 'view_attendees',
+    area: 'Events',
+    description: "See any event's attendee list (hosts always see their own)",
+    routes: ['GET /api/events/:id/attendees']
+  },
+  {
+    name: 'check_in_attendees',
+    area: 'Events',
+    description: 'Confirm attendance at any event (hosts can always check in their own)',
+    routes: ['POST /api/events/:id/rsvp/:userId/confirm']
+  },
+
+  // Blogs
+  {
+    name: 'create_blogs',
+    area: 'Blogs',
+    description: 'Write blog posts, revise your own until they are published, and submit or withdraw them for review',
+    routes: ['POST /api/blogs', 'PUT /api/blogs/:id', 'POST /api/blogs/:id/submit', 'POST /api/blogs/:id/withdraw']
+  },
+  {
+    name: 'update_blogs',
+    area: 'Blogs',
+    description: 'Edit blog posts',
+    routes: ['PUT /api/blogs/:id']
+  },
+  {
+    name: 'delete_blogs',
+    area: 'Blogs',
+    description: 'Delete blog posts',
+    routes: ['DELETE /api/blogs/:id']
+  },
+  {
+    name: 'approve_blogs',
+    area: 'Blogs',
+    description: 'Review blog posts (approve, request changes, reject, unpublish), see unapproved ones, and publish your own without review',
+    routes: [
+      'GET /api/admin/blogs/pending',
+      'PUT /api/admin/blogs/:id/approve',
+      'POST /api/admin/blogs/:id/request-changes',
+      'POST /api/admin/blogs/:id/reject',
+      'POST /api/admin/blogs/:id/unpublish',
+      'GET /api/blogs/:id/reviews',
+      'GET /api/blogs',
+      'POST /api/blogs'
+    ]
+  },
+
+  // Timeline
+  {
+    name: 'view_timeline',
+    area: 'Timeline',
+    description: 'Read the community timeline',
+    routes: ['GET /api/timeline']
+  },
+  {
+    name: 'create_timeline_posts',
+    area: 'Timeline',
+    description: 'Post to the timeline',
+    routes: ['POST /api/timeline']
+  },
+  {
+    name: 'update_timeline_posts',
+    area: 'Timeline',
+    description: 'Edit timeline posts',
+    routes: ['PUT /api/timeline/:id']
+  },
+  {
+    name: 'delete_timeline_posts',
+    area: 'Timeline',
+    description: 'Delete timeline posts',
+    routes: ['DELETE /api/timeline/:id']
+  },
+
+  // Polls
+  {
+    name: 'create_polls',
+    area: 'Polls',
+    description: 'Create polls',
+    routes: ['POST /api/polls']
+  },
+  {
+    name: 'vote_polls',
+    area: 'Polls',
+    description: 'Vote in polls and elections, nominate candidates and stand for election',
+    routes: [
+      'POST /api/polls/:id/vote',
+      'POST /api/elections/:id/nominations',
+      'POST /api/elections/:id/candidates/:candidateId/:decision',
+      'POST /api/elections/:id/vote'
+    ]
+  },
+
+  // Elections
+  {
+    name: 'manage_elections',
+    area: 'Elections',
+    description: 'Call, cancel and certify officer elections',
+    routes: ['POST /api/elections', 'POST /api/elections/:id/cancel', 'POST /api/elections/:id/certify']
+  },
+
+  // Administration
+  {
+    name: 'view_users',
+    area: 'Administration',
+    description: 'List and view accounts, the activation queue, review, role, suspension and membership status history',
+    routes: [
+      'GET /api/admin/users',
+      'GET /api/admin/users/:userId',
+      'GET /api/admin/membership-statuses',
+      'GET /api/admin/users/pending',
+      'GET /api/admin/users/:userId/reviews',
+      'GET /api/admin/users/:userId/role-history'
+    ]
+  },
+  {
+    name: 'manage_users',
+    area: 'Administration',
+    description: 'Approve, reject, activate, deactivate and suspend accounts, change membership status, reset 2FA and clear signin lockouts',
+    routes: [
+      'POST /api/admin/users/:userId/approve',
+      'POST /api/admin/users/:userId/reject',
+      'PUT /api/admin/users/:userId/activate',
+      'POST /api/admin/users/:userId/suspend',
+      'DELETE /api/admin/users/:userId/suspension',
+      'PUT /api/admin/users/:userId/membership-status',
+      'POST /api/admin/users/bulk/activate',
+      'DELETE /api/admin/users/:userId/2fa',
+      'GET /api/admin/lockouts',
+      'DELETE /api/admin/lockouts/:id'
+    ]
+  },
+  {
+    name: 'import_members',
+    area: 'Administration',
+    description: 'Create member accounts in bulk from a CSV (roles other than Member also need assign_roles)',
+    routes: ['POST /api/admin/users/import']
+  },
+  {
+    name: 'assign_roles',
+    area: 'Administration',
+    description: "Change a user's role, request and confirm promotions to Admin, and pre-assign roles other than Member on invitations",
+    routes: [
+      'PUT /api/admin/users/:userId/role',
+      'POST /api/admin/users/bulk/role',
+      'GET /api/admin/promotions',
+      'POST /api/admin/promotions/:id/confirm',
+      'DELETE /api/admin/promotions/:id',
+      'POST /api/admin/invitations',
+      'POST /api/admin/users/import'
+    ]
+  },
+  {
+    name: 'manage_roles',
+    area: 'Administration',
+    description: 'Create, edit and retire roles and their permissions',
+    routes: [
+      'GET /api/admin/roles',
+      'POST /api/admin/roles',
+      'PUT /api/admin/roles/:role',
+      'DELETE /api/admin/roles/:role',
+      'PUT /api/admin/roles/:role/two-factor',
+      'GET /api/admin/permissions'
+    ]
+  },
+  {
+    name: 'impersonate_members',
+    area: 'Administration',
+    description: 'View the app as another member through a short-lived, view-only token (Admins cannot be impersonated)',
+    routes: ['POST /api/admin/users/:userId/impersonate']
+  },
+  {
+    name: 'view_stats',
+    area: 'Administration',
+    description: 'See dashboard statistics on members, events, polls and blogs',
+    routes: ['GET /api/admin/stats']
+  },
+  {
+    name: 'view_audit_log',
+    area: 'Administration',
+    description: 'Search and export the audit log of privileged actions',
+    routes: ['GET /api/admin/audit']
+  },
+  {
+    name: 'invite_members',
+    area: 'Administration',
+    description: 'Issue, list and revoke invitation codes',
+    routes: ['POST /api/admin/invitations', 'GET /api/admin/invitations', 'DELETE /api/admin/invitations/:id']
+  }
+];
+
+// Grants every permission in the registry
+const WILDCARD = '*';
+
+const PERMISSION_NAMES = PERMISSIONS.map(permission => permission.name);
+
+const isKnownPermission = (name) => PERMISSION_NAMES.includes(name);
+
+// Permission strings (other than the wildcard) that are not in the registry
+const findUnknownPermissions = (permissions) => {
+  return permissions.filter(name => name !== WILDCARD && !isKnownPermission(name));
+};
+
+// Explicit list of what a permission set grants, with the wildcard expanded
+const expandPermissions = (permissions) => {
+  if (permissions.includes(WILDCARD)) {
+    return [...PERMISSION_NAMES];
+  }
+  return PERMISSION_NAMES.filter(name => permissions.includes(name));
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  WILDCARD,
+  isKnownPermission,
+  findUnknownPermissions,
+  expandPermissions
+};
@@ -51,8 +51,89 @@ const options = {
             username: { type: 'string' },
             role: { 
               type: 'string', 
-              enum: ['Admin', 'Member', 'President', 'Secretary']
+              description: 'Built-in roles are Admin, Member, President and Secretary; admins can add custom roles'
             },
+            is_active: { type: 'boolean' },
+            membership_status: { type: 'string', enum: ['applicant', 'active', 'lapsed', 'alumni'] },
+            email_verified_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        AdminUser: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            username: { type: 'string' },
+            role: { type: 'string' },
+            is_active: { type: 'boolean' },
+            membership_status: { type: 'string', enum: ['applicant', 'active', 'lapsed', 'alumni'] },
+            membership_status_changed_at: { type: 'string', format: 'date-time' },
+            email_verified_at: { type: 'string', format: 'date-time', nullable: true },
+            firstname: { type: 'string', nullable: true },
+            lastname: { type: 'string', nullable: true },
+            last_login_at: { type: 'string', format: 'date-time', nullable: true, description: 'Start of the most recent session' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        BulkUserResult: {
+          type: 'object',
+          properties: {
+            summary: {
+              type: 'object',
+              properties: {
+                requested: { type: 'integer' },
+                updated: { type: 'integer' },
+                scheduled: { type: 'integer', description: 'Role changes that start on a later date' },
+                unchanged: { type: 'integer' },
+                skipped: { type: 'integer' },
+                not_found: { type: 'integer' }
+              }
+            },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  user_id: { type: 'string' },
+                  username: { type: 'string' },
+                  status: { type: 'string', enum: ['updated', 'scheduled', 'unchanged', 'skipped', 'not_found'] },
+                  error: { type: 'string', description: 'Why the user was skipped' },
+                  code: { type: 'string', example: 'LAST_ADMIN' },
+                  before: { type: 'object' },
+                  after: { type: 'object' }
+                }
+              }
+            }
+          }
+        },
+        Suspension: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            user_id: { type: 'string' },
+            reason: { type: 'string' },
+            starts_at: { type: 'string', format: 'date-time' },
+            ends_at: { type: 'string', format: 'date-time', nullable: true, description: 'Null when it lasts until lifted' },
+            suspended_by: { type: 'string' },
+            suspended_by_username: { type: 'string' },
+            lifted_at: { type: 'string', format: 'date-time', nullable: true },
+            lifted_by: { type: 'string', nullable: true },
+            lifted_by_username: { type: 'string', nullable: true },
+            lift_reason: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['active', 'expired', 'lifted'] }
+          }
+        },
+        MembershipStatusChange: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            from_status: { type: 'string', enum: ['applicant', 'active', 'lapsed', 'alumni'] },
+            to_status: { type: 'string', enum: ['applicant', 'active', 'lapsed', 'alumni'] },
+            reason: { type: 'string', nullable: true },
+            changed_by: { type: 'string', nullable: true },
+            changed_by_username: { type: 'string', nullable: true },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
@@ -108,12 +189,27 @@ const options = {
             id: { type: 'string', format: 'uuid' },
             title: { type: 'string' },
             blog_content: { type: 'string' },
-            is_available: { type: 'boolean' },
+            is_available: { type: 'boolean', description: 'True only while approved' },
+            status: { type: 'string', enum: ['draft', 'submitted', 'changes_requested', 'approved', 'rejected', 'unpublished'] },
+            status_changed_at: { type: 'string', format: 'date-time' },
+            submitted_at: { type: 'string', format: 'date-time', nullable: true },
             author_id: { type: 'string', format: 'uuid' },
             author: { type: 'string' },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        BlogReview: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            from_status: { type: 'string' },
+            to_status: { type: 'string' },
+            comment: { type: 'string', nullable: true },
+            changed_by: { type: 'string', nullable: true },
+            changed_by_username: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
         Timeline: {
           type: 'object',
           properties: {
@@ -153,6 +249,37 @@ const options = {
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        Election: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            role: { type: 'string' },
+            phase: { type: 'string', enum: ['scheduled', 'nominating', 'voting', 'closed', 'certified', 'cancelled'] },
+            nominations_open_at: { type: 'string', format: 'date-time' },
+            nominations_close_at: { type: 'string', format: 'date-time' },
+            voting_closes_at: { type: 'string', format: 'date-time' },
+            term_starts_on: { type: 'string', format: 'date', nullable: true },
+            term_ends_on: { type: 'string', format: 'date', nullable: true },
+            turnout: { type: 'number' },
+            winner_id: { type: 'string', nullable: true },
+            winner_username: { type: 'string', nullable: true },
+            certified_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        OfficerTerm: {
+          type: 'object',
+          properties: {
+            role: { type: 'string' },
+            user_id: { type: 'string' },
+            username: { type: 'string' },
+            firstname: { type: 'string' },
+            lastname: { type: 'string' },
+            effective_from: { type: 'string', format: 'date' },
+            effective_to: { type: 'string', format: 'date', nullable: true }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
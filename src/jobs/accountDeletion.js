@@ -0,0 +1,27 @@
+const User = require('../models/User');
+
+// Delete accounts whose deletion grace period has ended
+const purgeDueAccounts = async () => {
+  const users = await User.findDueForDeletion();
+
+  let deleted = 0;
+  for (const user of users) {
+    // Other Admins may have been demoted or deactivated since the deletion was scheduled
+    const result = await User.deleteAccount(user.id);
+    if (result === null) {
+      console.warn(`Deletion of account ${user.id} held back: last active Admin`);
+      continue;
+    }
+
+    if (result) {
+      deleted++;
+      console.log(`🗑️  Deleted account ${user.id} (grace period ended)`);
+    }
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  purgeDueAccounts
+};
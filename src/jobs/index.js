@@ -0,0 +1,33 @@
+const { purgeDueAccounts } = require('./accountDeletion');
+const { processRoleTerms } = require('./officerTerms');
+
+// Background jobs run inside the API process
+const jobs = [
+  { name: 'account-deletion', intervalMinutes: 60, run: purgeDueAccounts },
+  { name: 'officer-terms', intervalMinutes: 60, run: processRoleTerms }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} error:`, error);
+  }
+};
+
+// Run every job once at startup, then on its interval
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️  Background jobs disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    runJob(job);
+    setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000).unref();
+  });
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,16 @@
+const RoleAssignment = require('../models/RoleAssignment');
+
+// Start scheduled role changes, then end terms past their end date (reverting holders to Member)
+const processRoleTerms = async () => {
+  const started = await RoleAssignment.applyDue();
+  started.forEach(term => console.log(`🎖️  ${term.user_id} now holds ${term.role}`));
+
+  const ended = await RoleAssignment.endExpired();
+  ended.forEach(term => console.log(`🎖️  ${term.user_id}'s ${term.role} term ended`));
+
+  return { started: started.length, ended: ended.length };
+};
+
+module.exports = {
+  processRoleTerms
+};
@@ -1,108 +1,280 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const Impersonation = require('../models/Impersonation');
+const Suspension = require('../models/Suspension');
+const { findUnknownPermissions } = require('../config/permissions');
+const { applyStatusRules } = require('../config/membership');
 
-// JWT Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Endpoints reachable before a required 2FA enrolment is completed
+const isTwoFactorSetupPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return path === '/api/me' || path === '/api/auth/logout' || path.startsWith('/api/me/2fa');
+};
+
+// While impersonating one may only look around (no writes, no data export) and stop
+const isAllowedWhileImpersonating = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  if (path === '/api/impersonation/stop') {
+    return true;
+  }
+  return SAFE_METHODS.includes(req.method) && path !== '/api/me/export';
+};
+
+// Account data a personal access token must never reach, whatever its scope
+const isPersonalDataPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return path === '/api/me/export' || path.startsWith('/api/me/tokens') || path.startsWith('/api/me/sessions');
+};
 
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+// Whether the matched route checks a permission (see hasPermission and checksPermission)
+const routeDeclaresPermission = (req) => {
+  return (req.route?.stack || []).some(layer => layer.handle.requiredPermissions);
+};
+
+// Resolve the user behind a bearer token (JWT or personal access token).
+// Sets req.user on success; returns { status, body } describing why it failed otherwise.
+const authenticate = async (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return { status: 401, body: { error: 'Access token required' } };
+  }
+
+  let userId;
+  let accessToken = null;
+  let sessionId = null;
+  let impersonation = null;
+
+  if (token.startsWith(AccessToken.PREFIX)) {
+    accessToken = await AccessToken.use(token, req.ip);
+    if (!accessToken) {
+      return { status: 401, body: { error: 'Invalid, expired or revoked access token' } };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const userResult = await pool.query(
-      'SELECT id, email, username, role, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Integrations only reach endpoints guarded by a permission (checked against the token's scope),
+    // and never the account's own data export, tokens or sessions
+    if (isPersonalDataPath(req) || !routeDeclaresPermission(req)) {
+      return { status: 403, body: { error: 'This endpoint cannot be used with a personal access token' } };
+    }
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token' });
+    userId = accessToken.user_id;
+  } else {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return { status: 401, body: { error: 'Token expired' } };
+      }
+      return { status: 401, body: { error: 'Invalid token' } };
     }
 
-    const user = userResult.rows[0];
+    if (decoded.purpose === 'impersonation') {
+      // Acts as the member for as long as the impersonator's own session and the impersonation last
+      impersonation = await Impersonation.findActive(decoded.impersonationId);
+      if (!impersonation) {
+        return { status: 401, body: { error: 'Impersonation has ended', code: 'IMPERSONATION_ENDED' } };
+      }
 
-    // Check if user is active (unless they are Admin)
-    if (!user.is_active && user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Account is not activated. Please contact an administrator.' });
+      if (!isAllowedWhileImpersonating(req)) {
+        return {
+          status: 403,
+          body: {
+            error: 'This action is not allowed while impersonating',
+            code: 'IMPERSONATION_READ_ONLY',
+            message: 'Impersonation is view-only. Stop it via POST /api/impersonation/stop.'
+          }
+        };
+      }
+
+      userId = impersonation.user_id;
+    } else {
+      // Access tokens are bound to a session that can be revoked server-side
+      if (!decoded.sessionId || !(await Session.touch(decoded.sessionId))) {
+        return { status: 401, body: { error: 'Session expired or revoked' } };
+      }
+
+      userId = decoded.userId;
+      sessionId = decoded.sessionId;
     }
+  }
 
-    req.user = user;
+  // Get user, with their role's permissions, from database
+  const userResult = await pool.query(
+    `SELECT u.id, u.email, u.username, u.role, u.is_active, u.membership_status,
+            tf.enabled_at AS two_factor_enabled_at,
+            COALESCE(rp.require_two_factor, false) AS require_two_factor,
+            COALESCE(rp.permissions, ARRAY[]::TEXT[]) AS permissions,
+            susp.reason AS suspension_reason, susp.ends_at AS suspension_ends_at
+     FROM users u
+     LEFT JOIN user_two_factor tf ON tf.user_id = u.id
+     LEFT JOIN role_permissions rp ON rp.role = u.role
+     LEFT JOIN LATERAL (
+       SELECT s.reason, s.ends_at FROM user_suspensions s
+       WHERE s.user_id = u.id AND ${Suspension.IN_FORCE}
+       ORDER BY s.starts_at DESC
+       LIMIT 1
+     ) susp ON TRUE
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return { status: 401, body: { error: 'Invalid token' } };
+  }
+
+  const { suspension_reason: suspensionReason, suspension_ends_at: suspensionEndsAt, ...user } = userResult.rows[0];
+
+  // Check if user is active (unless they are Admin)
+  if (!user.is_active && user.role !== 'Admin') {
+    return { status: 403, body: { error: 'Account is not activated. Please contact an administrator.' } };
+  }
+
+  // Suspended members are locked out until the suspension ends or is lifted (an Admin may still look in)
+  if (suspensionReason && !impersonation) {
+    return {
+      status: 403,
+      body: {
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        suspension: { reason: suspensionReason, ends_at: suspensionEndsAt }
+      }
+    };
+  }
+
+  // Roles that enforce 2FA can only reach the enrolment endpoints until it is enabled
+  if (!impersonation && user.require_two_factor && !user.two_factor_enabled_at && !isTwoFactorSetupPath(req)) {
+    return {
+      status: 403,
+      body: {
+        error: 'Two-factor authentication required',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Your role requires two-factor authentication. Set it up via /api/me/2fa/setup.'
+      }
+    };
+  }
+
+  // Lapsed members and alumni keep their role but lose what their status doesn't allow
+  user.permissions = applyStatusRules(user.permissions, user.membership_status);
+
+  req.user = user;
+  if (accessToken) {
+    req.accessToken = accessToken;
+  }
+  if (sessionId) {
+    req.sessionId = sessionId;
+  }
+  if (impersonation) {
+    req.impersonation = {
+      id: impersonation.id,
+      impersonator: { id: impersonation.admin_id, username: impersonation.admin_username },
+      started_at: impersonation.started_at,
+      expires_at: impersonation.expires_at
+    };
+  }
+  return null;
+};
+
+// JWT and personal access token authentication middleware
+const authenticateToken = async (req, res, next) => {
+  try {
+    const failure = await authenticate(req);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
     console.error('Auth middleware error:', error);
     res.status(500).json({ error: 'Authentication error' });
   }
 };
 
-// Check if user has permission for specific resource
-const hasPermission = (requiredPermissions) => {
-  return async (req, res, next) => {
-    try {
-      const userRole = req.user.role;
+// Authenticate when a token is sent, otherwise (or if it is not valid) continue anonymously
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers['authorization']) {
+      await authenticate(req);
+    }
+  } catch (error) {
+    console.error('Optional auth error:', error);
+  }
+  next();
+};
 
-      // Get role permissions from database
-      const permissionsResult = await pool.query(
-        'SELECT permissions FROM role_permissions WHERE role = $1',
-        [userRole]
-      );
+// Whether the current user's role grants a permission
+// (for personal access tokens, the permission must also be in the token's scope)
+const userCan = (req, permission) => {
+  assertKnownPermissions([permission]);
 
-      if (permissionsResult.rows.length === 0) {
-        return res.status(403).json({ error: 'No permissions found for this role' });
-      }
+  if (!req.user) {
+    return false;
+  }
 
-      const rolePermissions = permissionsResult.rows[0].permissions;
+  const grants = (permissions) => permissions.includes('*') || permissions.includes(permission);
+  return grants(req.user.permissions) && (!req.accessToken || grants(req.accessToken.permissions));
+};
 
-      // Check if user has any of the required permissions
-      const hasAccess = requiredPermissions.some(permission => rolePermissions.includes(permission));
+// Permissions checked in code must be registered in config/permissions.js
+const assertKnownPermissions = (permissions) => {
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(', ')}. Register them in src/config/permissions.js`);
+  }
+};
 
-      if (!hasAccess) {
-        return res.status(403).json({ 
-          error: 'Insufficient permissions',
-          required: requiredPermissions,
-          your_role: userRole
-        });
-      }
+// Require any of the given permissions (checked against role_permissions)
+const hasPermission = (requiredPermissions) => {
+  const required = [].concat(requiredPermissions);
+  assertKnownPermissions(required);
 
-      next();
-    } catch (error) {
-      console.error('Permission check error:', error);
-      res.status(500).json({ error: 'Permission check failed' });
+  const middleware = (req, res, next) => {
+    if (!required.some(permission => userCan(req, permission))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `This action requires the ${required.join(' or ')} permission`,
+        required,
+        your_role: req.user.role
+      });
     }
+
+    next();
   };
-};
 
-// Check if user owns resource or has admin/president role
-const ownsResourceOrAdmin = (getUserIdFn) => {
-  return (req, res, next) => {
-    const userId = getUserIdFn(req);
-    const userRole = req.user.role;
+  middleware.requiredPermissions = required;
+  return middleware;
+};
 
-    // Admin and President have full access
-    if (userRole === 'Admin' || userRole === 'President') {
-      return next();
-    }
+// Declare the permissions a route checks itself with userCan, e.g. alongside an event host fallback.
+// Sessions go through to the handler; personal access tokens need one of the permissions in scope.
+const checksPermission = (requiredPermissions) => {
+  const required = [].concat(requiredPermissions);
+  assertKnownPermissions(required);
 
-    // Check if user owns the resource
-    if (req.user.id !== userId) {
-      return res.status(403).json({ error: 'Access denied. You can only access your own resources.' });
+  const middleware = (req, res, next) => {
+    if (req.accessToken && !required.some(permission => userCan(req, permission))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `This token requires the ${required.join(' or ')} permission`,
+        required
+      });
     }
 
     next();
   };
+
+  middleware.requiredPermissions = required;
+  return middleware;
 };
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
+  userCan,
   hasPermission,
-  ownsResourceOrAdmin
+  checksPermission
 };
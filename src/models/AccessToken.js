@@ -0,0 +1,63 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+// Prefix that tells personal access tokens apart from JWTs
+const TOKEN_PREFIX = 'ptl_';
+
+class AccessToken {
+  // Create a token and return it together with the plain value (shown once)
+  static async create({ userId, name, permissions, expiresAt }) {
+    const token = `${TOKEN_PREFIX}${generateToken(20)}`;
+
+    const result = await pool.query(
+      `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_hint, permissions, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, token_hint, permissions, expires_at, last_used_at, last_used_ip, created_at`,
+      [userId, name, hashToken(token), token.slice(-4), permissions, expiresAt || null]
+    );
+
+    return { accessToken: result.rows[0], token };
+  }
+
+  // Find an active token by its plain value and record its use
+  static async use(token, ipAddress) {
+    const result = await pool.query(
+      `UPDATE personal_access_tokens
+       SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+       WHERE token_hash = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       RETURNING id, user_id, name, permissions`,
+      [hashToken(token), ipAddress || null]
+    );
+    return result.rows[0];
+  }
+
+  // List a user's tokens (never includes the token value)
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT id, name, token_hint, permissions, expires_at, last_used_at, last_used_ip, revoked_at, created_at
+       FROM personal_access_tokens
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Revoke a token belonging to a user
+  static async revoke(id, userId) {
+    const result = await pool.query(
+      `UPDATE personal_access_tokens
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id, name, revoked_at`,
+      [id, userId]
+    );
+    return result.rows[0];
+  }
+}
+
+AccessToken.PREFIX = TOKEN_PREFIX;
+
+module.exports = AccessToken;
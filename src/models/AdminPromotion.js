@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const RoleAssignment = require('./RoleAssignment');
+
+const PROMOTION_TTL_HOURS = parseInt(process.env.ADMIN_PROMOTION_EXPIRES_HOURS, 10) || 72;
+
+const PROMOTION_COLUMNS = `ap.id, ap.user_id, u.username, u.email,
+       ap.requested_by, requester.username AS requested_by_username,
+       ap.effective_from::TEXT AS effective_from, ap.effective_to::TEXT AS effective_to,
+       ap.expires_at, ap.confirmed_by, ap.confirmed_at, ap.cancelled_at, ap.created_at`;
+
+class AdminPromotion {
+  // Request a promotion to Admin; replaces any pending request for the same user
+  static async create({ userId, requestedBy, effectiveFrom = null, effectiveTo = null }) {
+    const id = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE admin_promotions SET cancelled_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO admin_promotions (user_id, requested_by, effective_from, effective_to, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5::INT))
+         RETURNING id`,
+        [userId, requestedBy, effectiveFrom, effectiveTo, PROMOTION_TTL_HOURS]
+      );
+      return result.rows[0].id;
+    });
+
+    return this.findById(id);
+  }
+
+  // Find promotion request by ID
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT ${PROMOTION_COLUMNS}
+       FROM admin_promotions ap
+       JOIN users u ON ap.user_id = u.id
+       LEFT JOIN users requester ON ap.requested_by = requester.id
+       WHERE ap.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Requests still waiting for a second Admin
+  static async findPending() {
+    const result = await pool.query(
+      `SELECT ${PROMOTION_COLUMNS}
+       FROM admin_promotions ap
+       JOIN users u ON ap.user_id = u.id
+       LEFT JOIN users requester ON ap.requested_by = requester.id
+       WHERE ap.confirmed_at IS NULL AND ap.cancelled_at IS NULL AND ap.expires_at > CURRENT_TIMESTAMP
+       ORDER BY ap.created_at`
+    );
+    return result.rows;
+  }
+
+  // Confirm a pending request and make the user Admin, in one transaction.
+  // Returns the role assignment, or null if the request is no longer pending.
+  static async confirm(id, confirmedBy) {
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE admin_promotions
+         SET confirmed_by = $1, confirmed_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND confirmed_at IS NULL AND cancelled_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id, effective_from::TEXT AS effective_from, effective_to::TEXT AS effective_to`,
+        [confirmedBy, id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const promotion = result.rows[0];
+      return RoleAssignment.assign({
+        userId: promotion.user_id,
+        role: 'Admin',
+        effectiveFrom: promotion.effective_from,
+        effectiveTo: promotion.effective_to,
+        assignedBy: confirmedBy
+      }, client);
+    });
+  }
+
+  // Withdraw a pending request
+  static async cancel(id) {
+    const result = await pool.query(
+      `UPDATE admin_promotions SET cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = AdminPromotion;
@@ -0,0 +1,80 @@
+const pool = require('../config/database');
+
+const AUDIT_COLUMNS = `id, actor_id, actor_username, action, target_type, target_id,
+       before, after, ip_address, created_at`;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// WHERE clause and parameters for the audit log filters
+const buildFilters = ({ actorId, action, targetType, targetId, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actorId) add('actor_id = ?', actorId);
+  if (action) {
+    // A trailing * is the only wildcard; % and _ match themselves
+    const prefix = action.endsWith('*');
+    const literal = (prefix ? action.slice(0, -1) : action).replace(/[\\%_]/g, '\\$&');
+    add("action LIKE ? ESCAPE '\\'", prefix ? `${literal}%` : literal);
+  }
+  if (targetType) add('target_type = ?', targetType);
+  if (targetId) add('target_id = ?', targetId);
+  if (from) add('created_at >= ?', from);
+  // A date without a time covers that whole day
+  if (to) add(DATE_ONLY.test(to) ? 'created_at < ?::DATE + 1' : 'created_at <= ?', to);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+class AuditLog {
+  // Append an entry (entries are never updated or deleted)
+  static async create({ actorId, actorUsername, action, targetType, targetId, before, after, ipAddress }) {
+    const result = await pool.query(
+      `INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, before, after, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${AUDIT_COLUMNS}`,
+      [actorId, actorUsername, action, targetType, targetId,
+        before === undefined ? null : JSON.stringify(before),
+        after === undefined ? null : JSON.stringify(after),
+        ipAddress || null]
+    );
+    return result.rows[0];
+  }
+
+  // Find entries matching the filters, newest first (all of them when limit is null)
+  static async find(filters = {}, page = 1, limit = null) {
+    const { where, params } = buildFilters(filters);
+    let paging = '';
+    if (limit) {
+      params.push(limit, (page - 1) * limit);
+      paging = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT ${AUDIT_COLUMNS}
+       FROM audit_log
+       ${where}
+       ORDER BY created_at DESC
+       ${paging}`,
+      params
+    );
+    return result.rows;
+  }
+
+  // Count entries matching the filters
+  static async count(filters = {}) {
+    const { where, params } = buildFilters(filters);
+    const result = await pool.query(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+    return parseInt(result.rows[0].count, 10);
+  }
+}
+
+module.exports = AuditLog;
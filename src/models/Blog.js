@@ -1,4 +1,5 @@
 const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
 
 class Blog {
   // Find blog by ID
@@ -13,10 +14,10 @@ class Blog {
     return result.rows[0];
   }
 
-  // Find all blogs
+  // Find all blogs (drafts are only ever shown to their author)
   static async findAll(showUnapproved = false) {
     const query = showUnapproved
-      ? 'SELECT * FROM blog_posts ORDER BY created_at DESC'
+      ? "SELECT * FROM blog_posts WHERE status <> 'draft' ORDER BY created_at DESC"
       : 'SELECT * FROM blog_posts WHERE is_available = true ORDER BY created_at DESC';
     
     const result = await pool.query(query);
@@ -44,6 +45,7 @@ class Blog {
     
     const query = showUnapproved
       ? `SELECT * FROM blog_posts 
+         WHERE status <> 'draft'
          ORDER BY created_at DESC
          LIMIT $1 OFFSET $2`
       : `SELECT * FROM blog_posts 
@@ -73,20 +75,20 @@ class Blog {
   // Count total blogs
   static async count(showUnapproved = false) {
     const query = showUnapproved
-      ? 'SELECT COUNT(*) FROM blog_posts'
+      ? "SELECT COUNT(*) FROM blog_posts WHERE status <> 'draft'"
       : 'SELECT COUNT(*) FROM blog_posts WHERE is_available = true';
     
     const result = await pool.query(query);
     return parseInt(result.rows[0].count, 10);
   }
 
-  // Create blog
-  static async create({ title, blog_content, author_id, is_available = false }) {
+  // Create blog as a draft, submitted for review, or already approved
+  static async create({ title, blog_content, author_id, status = 'submitted' }) {
     const result = await pool.query(
-      `INSERT INTO blog_posts (title, blog_content, is_available, author_id)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO blog_posts (title, blog_content, status, is_available, submitted_at, author_id)
+       VALUES ($1, $2, $3::VARCHAR, $3 = 'approved', CASE WHEN $3 = 'draft' THEN NULL ELSE CURRENT_TIMESTAMP END, $4)
        RETURNING *`,
-      [title, blog_content, is_available, author_id]
+      [title, blog_content, status, author_id]
     );
     return result.rows[0];
   }
@@ -116,13 +118,78 @@ class Blog {
     return result.rows[0];
   }
 
-  // Approve blog
-  static async approve(id) {
+  // Move a post to another moderation status and record the review. With `from`, only a post still in
+  // that status is moved. Only approved posts are published. Returns { blog, review }, or null if nothing changed.
+  // Runs in its own transaction unless a client from an enclosing one is passed.
+  static async changeStatus({ id, status, from = null, comment = null, changedBy = null }, client = null) {
+    if (!client) {
+      return withTransaction(tx => this.changeStatus({ id, status, from, comment, changedBy }, tx));
+    }
+
+    const current = await client.query(
+      'SELECT status FROM blog_posts WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const previous = current.rows[0]?.status;
+
+    if (!previous || previous === status || (from && previous !== from)) {
+      return null;
+    }
+
+    const updated = await client.query(
+      `UPDATE blog_posts
+       SET status = $1::VARCHAR, is_available = ($1 = 'approved'), status_changed_at = CURRENT_TIMESTAMP,
+           submitted_at = CASE WHEN $1 = 'submitted' THEN CURRENT_TIMESTAMP ELSE submitted_at END
+       WHERE id = $2
+       RETURNING *`,
+      [status, id]
+    );
+
+    const review = await client.query(
+      `INSERT INTO blog_reviews (blog_id, from_status, to_status, comment, changed_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [id, previous, status, comment, changedBy]
+    );
+
+    return { blog: updated.rows[0], review: review.rows[0] };
+  }
+
+  // Moderation history of a post, newest first
+  static async findReviews(id) {
     const result = await pool.query(
-      'UPDATE blog_posts SET is_available = true WHERE id = $1 RETURNING *',
+      `SELECT r.id, r.from_status, r.to_status, r.comment, r.changed_by, u.username AS changed_by_username, r.created_at
+       FROM blog_reviews r
+       LEFT JOIN users u ON r.changed_by = u.id
+       WHERE r.blog_id = $1
+       ORDER BY r.created_at DESC`,
       [id]
     );
-    return result.rows[0];
+    return result.rows;
+  }
+
+  // Review queue: submitted posts, longest waiting first, with how often each has been sent back
+  static async findPending(page = 1, limit = 20) {
+    const offset = (page - 1) * limit;
+    const result = await pool.query(
+      `SELECT b.id, b.title, b.blog_content, b.status, b.author_id, u.username AS author,
+              b.submitted_at, b.created_at, b.updated_at,
+              (SELECT COUNT(*) FROM blog_reviews r
+               WHERE r.blog_id = b.id AND r.to_status = 'changes_requested')::INT AS revision_requests
+       FROM blog_posts b
+       LEFT JOIN users u ON b.author_id = u.id
+       WHERE b.status = 'submitted'
+       ORDER BY b.submitted_at, b.created_at
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+    return result.rows;
+  }
+
+  // Count posts waiting for review
+  static async countPending() {
+    const result = await pool.query("SELECT COUNT(*) FROM blog_posts WHERE status = 'submitted'");
+    return parseInt(result.rows[0].count, 10);
   }
 
   // Delete blog
@@ -136,6 +203,15 @@ class Blog {
     const result = await pool.query('SELECT id FROM blog_posts WHERE id = $1', [id]);
     return result.rows.length > 0;
   }
+
+  // Find all blogs written by a user, approved or not
+  static async findByAuthor(authorId) {
+    const result = await pool.query(
+      'SELECT * FROM blog_posts WHERE author_id = $1 ORDER BY created_at',
+      [authorId]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Blog;
@@ -94,6 +94,21 @@ class Connection {
     );
     return result.rows;
   }
+
+  // Get every connection involving a user, in any status (data export)
+  static async findAllForUser(userId) {
+    const result = await pool.query(
+      `SELECT uc.id, uc.status, uc.created_at, uc.updated_at,
+              CASE WHEN uc.user_id = $1 THEN 'sent' ELSE 'received' END as direction,
+              u.username as other_username
+       FROM user_connections uc
+       LEFT JOIN users u ON u.id = CASE WHEN uc.user_id = $1 THEN uc.connected_user_id ELSE uc.user_id END
+       WHERE uc.user_id = $1 OR uc.connected_user_id = $1
+       ORDER BY uc.created_at`,
+      [userId]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Connection;
@@ -0,0 +1,279 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const RoleAssignment = require('./RoleAssignment');
+const { lockAdmins, isLastActiveAdmin } = require('../utils/adminGuard');
+
+// Where an election stands, derived from its timestamps
+const PHASE_COLUMN = `CASE
+         WHEN e.cancelled_at IS NOT NULL THEN 'cancelled'
+         WHEN e.certified_at IS NOT NULL THEN 'certified'
+         WHEN CURRENT_TIMESTAMP < e.nominations_open_at THEN 'scheduled'
+         WHEN CURRENT_TIMESTAMP < e.nominations_close_at THEN 'nominating'
+         WHEN CURRENT_TIMESTAMP < e.voting_closes_at THEN 'voting'
+         ELSE 'closed'
+       END AS phase`;
+
+const ELECTION_COLUMNS = `e.id, e.title, e.description, e.role,
+       e.nominations_open_at, e.nominations_close_at, e.voting_closes_at,
+       e.term_starts_on, e.term_ends_on, e.poll_id,
+       e.created_by, creator.username AS creator_username,
+       e.winner_id, winner.username AS winner_username,
+       e.certified_by, e.certified_at, e.cancelled_at, e.created_at,
+       (SELECT COUNT(*)::INT FROM election_voters ev WHERE ev.election_id = e.id) AS turnout,
+       ${PHASE_COLUMN}`;
+
+const ELECTION_JOINS = `LEFT JOIN users creator ON e.created_by = creator.id
+       LEFT JOIN users winner ON e.winner_id = winner.id`;
+
+class Election {
+  // Create an election
+  static async create({ title, description, role, nominationsOpenAt, nominationsCloseAt, votingClosesAt, termStartsOn, termEndsOn, createdBy }) {
+    const result = await pool.query(
+      `INSERT INTO elections (title, description, role, nominations_open_at, nominations_close_at,
+                              voting_closes_at, term_starts_on, term_ends_on, created_by)
+       VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [title, description || null, role, nominationsOpenAt || null, nominationsCloseAt,
+        votingClosesAt, termStartsOn || null, termEndsOn || null, createdBy]
+    );
+    return this.findById(result.rows[0].id);
+  }
+
+  // Find all elections, newest first
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT ${ELECTION_COLUMNS}
+       FROM elections e
+       ${ELECTION_JOINS}
+       ORDER BY e.voting_closes_at DESC`
+    );
+    return result.rows;
+  }
+
+  // Find election by ID
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT ${ELECTION_COLUMNS}
+       FROM elections e
+       ${ELECTION_JOINS}
+       WHERE e.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Check if a poll is an election ballot
+  static async isBallot(pollId) {
+    const result = await pool.query('SELECT 1 FROM elections WHERE poll_id = $1', [pollId]);
+    return result.rows.length > 0;
+  }
+
+  // Cancel an election that has not been certified
+  static async cancel(id) {
+    const result = await pool.query(
+      `UPDATE elections SET cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND certified_at IS NULL AND cancelled_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Nominate a member; self-nominations are accepted straight away. Returns null if already nominated.
+  static async nominate({ electionId, userId, nominatedBy, statement }) {
+    const selfNominated = userId === nominatedBy;
+    const result = await pool.query(
+      `INSERT INTO election_candidates (election_id, user_id, nominated_by, statement, status, responded_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::BOOLEAN THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (election_id, user_id) DO NOTHING
+       RETURNING *`,
+      [electionId, userId, nominatedBy, statement || null, selfNominated ? 'accepted' : 'nominated', selfNominated]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Candidates of an election with their names
+  static async findCandidates(electionId) {
+    const result = await pool.query(
+      `SELECT c.id, c.user_id, u.username, p.firstname, p.lastname, c.statement, c.status,
+              c.nominated_by, nominator.username AS nominated_by_username, c.responded_at, c.created_at
+       FROM election_candidates c
+       JOIN users u ON c.user_id = u.id
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       LEFT JOIN users nominator ON c.nominated_by = nominator.id
+       WHERE c.election_id = $1
+       ORDER BY c.created_at`,
+      [electionId]
+    );
+    return result.rows;
+  }
+
+  // Find a candidate of an election
+  static async findCandidate(electionId, candidateId) {
+    const result = await pool.query(
+      'SELECT * FROM election_candidates WHERE election_id = $1 AND id = $2',
+      [electionId, candidateId]
+    );
+    return result.rows[0];
+  }
+
+  // Record a nominee's answer ('accepted' or 'declined')
+  static async respond(candidateId, status, statement) {
+    const result = await pool.query(
+      `UPDATE election_candidates
+       SET status = $1, statement = COALESCE($2, statement), responded_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [status, statement || null, candidateId]
+    );
+    return result.rows[0];
+  }
+
+  // Create the ballot poll from the accepted candidates once nominations have closed.
+  // Returns the poll ID, or null if nobody accepted a nomination.
+  static async openBallot(electionId) {
+    return withTransaction(async (client) => {
+      const electionResult = await client.query(
+        `SELECT * FROM elections
+         WHERE id = $1 AND nominations_close_at <= CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [electionId]
+      );
+      const election = electionResult.rows[0];
+
+      if (!election || election.poll_id) {
+        return election ? election.poll_id : null;
+      }
+
+      const candidates = await client.query(
+        `SELECT c.id, u.username
+         FROM election_candidates c
+         JOIN users u ON c.user_id = u.id
+         WHERE c.election_id = $1 AND c.status = 'accepted'
+         ORDER BY u.username`,
+        [electionId]
+      );
+
+      if (candidates.rows.length === 0) {
+        return null;
+      }
+
+      // Kept out of the public poll list; ballots are only reachable through the election
+      const poll = await client.query(
+        `INSERT INTO polls (question, description, created_by, expires_at, is_active)
+         VALUES ($1, $2, $3, $4, FALSE)
+         RETURNING id`,
+        [election.title, election.description, election.created_by, election.voting_closes_at]
+      );
+      const pollId = poll.rows[0].id;
+
+      for (const candidate of candidates.rows) {
+        const option = await client.query(
+          'INSERT INTO poll_options (poll_id, option_text) VALUES ($1, $2) RETURNING id',
+          [pollId, candidate.username]
+        );
+        await client.query(
+          'UPDATE election_candidates SET poll_option_id = $1 WHERE id = $2',
+          [option.rows[0].id, candidate.id]
+        );
+      }
+
+      await client.query('UPDATE elections SET poll_id = $1 WHERE id = $2', [pollId, electionId]);
+
+      return pollId;
+    });
+  }
+
+  // Check if a user has voted
+  static async hasVoted(electionId, userId) {
+    const result = await pool.query(
+      'SELECT 1 FROM election_voters WHERE election_id = $1 AND user_id = $2',
+      [electionId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Cast a secret ballot: who voted and what was chosen are stored separately, and the
+  // ballot's timestamp is truncated to the day so the two can't be matched up.
+  // Returns false if the user has already voted.
+  static async castBallot(electionId, userId, candidate) {
+    return withTransaction(async (client) => {
+      const voter = await client.query(
+        `INSERT INTO election_voters (election_id, user_id)
+         VALUES ($1, $2)
+         ON CONFLICT (election_id, user_id) DO NOTHING
+         RETURNING user_id`,
+        [electionId, userId]
+      );
+
+      if (voter.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(
+        `INSERT INTO poll_votes (poll_id, option_id, user_id, created_at)
+         SELECT e.poll_id, $2, NULL, DATE_TRUNC('day', CURRENT_TIMESTAMP)
+         FROM elections e
+         WHERE e.id = $1`,
+        [electionId, candidate.poll_option_id]
+      );
+
+      return true;
+    });
+  }
+
+  // Vote totals per accepted candidate, highest first
+  static async getResults(electionId) {
+    const result = await pool.query(
+      `SELECT c.id AS candidate_id, c.user_id, u.username, p.firstname, p.lastname,
+              COUNT(pv.id)::INT AS votes
+       FROM election_candidates c
+       JOIN users u ON c.user_id = u.id
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       LEFT JOIN poll_votes pv ON pv.option_id = c.poll_option_id AND c.poll_option_id IS NOT NULL
+       WHERE c.election_id = $1 AND c.status = 'accepted'
+       GROUP BY c.id, u.username, p.firstname, p.lastname
+       ORDER BY votes DESC, u.username`,
+      [electionId]
+    );
+    return result.rows;
+  }
+
+  // Certify the winner and give them the role for the election's term, in one transaction.
+  // Returns { assignment }, { code: 'LAST_ADMIN' } if the winner is the last active Admin and the role
+  // would replace theirs, or null if the election was already certified or cancelled.
+  static async certify(electionId, winnerId, certifiedBy) {
+    return withTransaction(async (client) => {
+      await lockAdmins(client);
+      const election = await client.query('SELECT role FROM elections WHERE id = $1', [electionId]);
+      if (election.rows[0]?.role !== 'Admin' && await isLastActiveAdmin(winnerId, client)) {
+        return { code: 'LAST_ADMIN' };
+      }
+
+      const result = await client.query(
+        `UPDATE elections
+         SET winner_id = $1, certified_by = $2, certified_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND certified_at IS NULL AND cancelled_at IS NULL
+         RETURNING role, term_starts_on::TEXT AS term_starts_on, term_ends_on::TEXT AS term_ends_on`,
+        [winnerId, certifiedBy, electionId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { role, term_starts_on, term_ends_on } = result.rows[0];
+
+      const assignment = await RoleAssignment.assign({
+        userId: winnerId,
+        role,
+        effectiveFrom: term_starts_on,
+        effectiveTo: term_ends_on,
+        assignedBy: certifiedBy
+      }, client);
+      return { assignment };
+    });
+  }
+}
+
+module.exports = Election;
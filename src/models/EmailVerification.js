@@ -0,0 +1,65 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 48;
+
+class EmailVerification {
+  // Create a verification token for an email address, invalidating earlier ones with the same purpose:
+  // confirming the current address and confirming a change to a new one don't cancel each other
+  static async create(userId, email) {
+    const token = generateToken();
+
+    await pool.query(
+      `UPDATE email_verification_tokens t
+       SET used_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE u.id = t.user_id AND t.user_id = $1 AND t.used_at IS NULL
+         AND (t.email = u.email) = ($2 = u.email)`,
+      [userId, email]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4::INT))
+       RETURNING expires_at`,
+      [userId, email, hashToken(token), VERIFICATION_TOKEN_TTL_HOURS]
+    );
+
+    return { token, expires_at: result.rows[0].expires_at };
+  }
+
+  // Mark a valid token as used and return the user ID and email it verifies
+  static async consume(token) {
+    const result = await pool.query(
+      `UPDATE email_verification_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id, email`,
+      [hashToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Invalidate every outstanding token of a user (after their address changed)
+  static async invalidateForUser(userId) {
+    await pool.query(
+      `UPDATE email_verification_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+    return true;
+  }
+
+  // Count tokens issued to a user within the last given minutes (for throttling)
+  static async countRecent(userId, minutes) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FROM email_verification_tokens
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2::INT)`,
+      [userId, minutes]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+}
+
+module.exports = EmailVerification;
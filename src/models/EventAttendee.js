@@ -109,6 +109,19 @@ class EventAttendee {
     );
     return parseInt(result.rows[0].count, 10);
   }
+
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT ea.event_id, ce.event_name, ce.event_date, ce.event_time,
+              ea.status, ea.checked_in_at, ea.created_at, ea.updated_at
+       FROM event_attendees ea
+       JOIN community_events ce ON ea.event_id = ce.id
+       WHERE ea.user_id = $1
+       ORDER BY ce.event_date, ea.created_at`,
+      [userId]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = EventAttendee;
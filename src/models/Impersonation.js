@@ -0,0 +1,46 @@
+const pool = require('../config/database');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES, 10) || 15;
+
+class Impersonation {
+  // Start viewing the app as another user; tied to the impersonator's current session
+  static async start({ adminId, userId, sessionId, reason, ipAddress }) {
+    const result = await pool.query(
+      `INSERT INTO impersonations (admin_id, user_id, session_id, reason, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(mins => $6::INT))
+       RETURNING *`,
+      [adminId, userId, sessionId, reason || null, ipAddress || null, IMPERSONATION_TTL_MINUTES]
+    );
+    return result.rows[0];
+  }
+
+  // Find an impersonation that is still usable: not stopped or expired, the impersonator's session
+  // still valid and the impersonator still active with a role that grants impersonate_members
+  static async findActive(id) {
+    const result = await pool.query(
+      `SELECT i.id, i.user_id, i.admin_id, a.username AS admin_username, i.started_at, i.expires_at
+       FROM impersonations i
+       JOIN users a ON i.admin_id = a.id AND a.is_active
+       JOIN role_permissions rp ON rp.role = a.role
+         AND ('*' = ANY(rp.permissions) OR 'impersonate_members' = ANY(rp.permissions))
+       JOIN user_sessions s ON i.session_id = s.id
+         AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+       WHERE i.id = $1 AND i.ended_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // End an impersonation
+  static async stop(id) {
+    const result = await pool.query(
+      `UPDATE impersonations SET ended_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND ended_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = Impersonation;
@@ -0,0 +1,111 @@
+const pool = require('../config/database');
+const { generateToken } = require('../utils/secureToken');
+
+class Invitation {
+  // Create invitation with a new random code
+  static async create({ email, role = 'Member', max_uses = 1, expires_at, created_by }) {
+    const code = generateToken(6).toUpperCase();
+
+    const result = await pool.query(
+      `INSERT INTO invitations (code, email, role, max_uses, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [code, email || null, role, max_uses, expires_at || null, created_by]
+    );
+    return result.rows[0];
+  }
+
+  // Find invitation by ID
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM invitations WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Find invitation by code
+  static async findByCode(code) {
+    const result = await pool.query(
+      'SELECT * FROM invitations WHERE code = $1',
+      [code.trim().toUpperCase()]
+    );
+    return result.rows[0];
+  }
+
+  // Check whether an invitation can still be redeemed (optionally by a given email)
+  static isRedeemable(invitation, email = null) {
+    if (!invitation || invitation.revoked_at) {
+      return false;
+    }
+    if (invitation.expires_at && new Date(invitation.expires_at) <= new Date()) {
+      return false;
+    }
+    if (invitation.use_count >= invitation.max_uses) {
+      return false;
+    }
+    if (email && invitation.email && invitation.email !== email) {
+      return false;
+    }
+    return true;
+  }
+
+  // Atomically take one use of an invitation; returns null if it can't be redeemed
+  static async claim(code, email, client = pool) {
+    const result = await client.query(
+      `UPDATE invitations
+       SET use_count = use_count + 1
+       WHERE code = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         AND use_count < max_uses
+         AND (email IS NULL OR email = $2)
+       RETURNING *`,
+      [code.trim().toUpperCase(), email]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Record who redeemed an invitation
+  static async recordRedemption(invitationId, userId, client = pool) {
+    const result = await client.query(
+      `INSERT INTO invitation_redemptions (invitation_id, user_id)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [invitationId, userId]
+    );
+    return result.rows[0];
+  }
+
+  // Find all invitations with creator and redemptions
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT i.*, u.username AS created_by_username
+       FROM invitations i
+       LEFT JOIN users u ON i.created_by = u.id
+       ORDER BY i.created_at DESC`
+    );
+
+    const redemptionsResult = await pool.query(
+      `SELECT r.invitation_id, r.user_id, r.redeemed_at, u.username, u.email
+       FROM invitation_redemptions r
+       LEFT JOIN users u ON r.user_id = u.id
+       ORDER BY r.redeemed_at`
+    );
+
+    return result.rows.map(invitation => ({
+      ...invitation,
+      redemptions: redemptionsResult.rows.filter(r => r.invitation_id === invitation.id)
+    }));
+  }
+
+  // Revoke invitation
+  static async revoke(id) {
+    const result = await pool.query(
+      `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = Invitation;
@@ -0,0 +1,94 @@
+const pool = require('../config/database');
+
+class LoginAttempt {
+  // Find the counter for an account (email) or IP address
+  static async find(keyType, keyValue) {
+    const result = await pool.query(
+      'SELECT * FROM login_attempts WHERE key_type = $1 AND key_value = $2',
+      [keyType, keyValue]
+    );
+    return result.rows[0];
+  }
+
+  // Record a failed attempt; the count restarts once the window has passed, and the lockout
+  // level decays once nothing has happened for decayMinutes since the last failure or lock
+  static async recordFailure(keyType, keyValue, windowMinutes, decayMinutes) {
+    const result = await pool.query(
+      `INSERT INTO login_attempts (key_type, key_value, failed_count, first_failed_at, last_failed_at)
+       VALUES ($1, $2, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (key_type, key_value)
+       DO UPDATE SET
+         failed_count = CASE
+           WHEN login_attempts.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3::INT) THEN 1
+           ELSE login_attempts.failed_count + 1
+         END,
+         first_failed_at = CASE
+           WHEN login_attempts.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3::INT) THEN CURRENT_TIMESTAMP
+           ELSE login_attempts.first_failed_at
+         END,
+         lockout_count = CASE
+           WHEN GREATEST(login_attempts.last_failed_at, login_attempts.locked_until)
+                < CURRENT_TIMESTAMP - make_interval(mins => $4::INT) THEN 0
+           ELSE login_attempts.lockout_count
+         END,
+         last_failed_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [keyType, keyValue, windowMinutes, decayMinutes]
+    );
+    return result.rows[0];
+  }
+
+  // Lock for the given number of minutes and start counting afresh
+  static async lock(id, minutes) {
+    const result = await pool.query(
+      `UPDATE login_attempts
+       SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2::INT),
+           lockout_count = lockout_count + 1,
+           failed_count = 0
+       WHERE id = $1
+       RETURNING *`,
+      [id, minutes]
+    );
+    return result.rows[0];
+  }
+
+  // Reset the failure count but keep the lockout level, so escalation survives a successful signin
+  static async resetFailures(keyType, keyValue) {
+    await pool.query(
+      `UPDATE login_attempts
+       SET failed_count = 0, first_failed_at = NULL
+       WHERE key_type = $1 AND key_value = $2`,
+      [keyType, keyValue]
+    );
+    return true;
+  }
+
+  // Clear the counter for an account or IP address
+  static async clear(keyType, keyValue) {
+    await pool.query(
+      'DELETE FROM login_attempts WHERE key_type = $1 AND key_value = $2',
+      [keyType, keyValue]
+    );
+    return true;
+  }
+
+  // Clear a counter by ID
+  static async clearById(id) {
+    const result = await pool.query('DELETE FROM login_attempts WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0];
+  }
+
+  // List current lockouts, or every tracked counter when includeCounters is set
+  static async findAll(includeCounters = false) {
+    const query = includeCounters
+      ? 'SELECT * FROM login_attempts ORDER BY last_failed_at DESC'
+      : `SELECT * FROM login_attempts
+         WHERE locked_until > CURRENT_TIMESTAMP
+         ORDER BY locked_until DESC`;
+
+    const result = await pool.query(query);
+    return result.rows;
+  }
+}
+
+module.exports = LoginAttempt;
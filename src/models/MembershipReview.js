@@ -0,0 +1,74 @@
+const pool = require('../config/database');
+
+class MembershipReview {
+  // Record an approve/reject decision on a membership application
+  static async create({ userId, decision, reason, reviewedBy, notified = false }, client = pool) {
+    const result = await client.query(
+      `INSERT INTO membership_reviews (user_id, decision, reason, reviewed_by, notified)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, decision, reason || null, reviewedBy, notified]
+    );
+    return result.rows[0];
+  }
+
+  // Mark a review as having been emailed to the applicant
+  static async markNotified(id) {
+    await pool.query(
+      'UPDATE membership_reviews SET notified = TRUE WHERE id = $1',
+      [id]
+    );
+  }
+
+  // Most recent decision for a user
+  static async findLatestByUserId(userId) {
+    const result = await pool.query(
+      `SELECT * FROM membership_reviews
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // Review history for a user, with reviewer names
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT mr.id, mr.decision, mr.reason, mr.notified, mr.created_at,
+              mr.reviewed_by, u.username AS reviewed_by_username
+       FROM membership_reviews mr
+       LEFT JOIN users u ON mr.reviewed_by = u.id
+       WHERE mr.user_id = $1
+       ORDER BY mr.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Inactive users that have not been reviewed yet (optionally including rejected ones)
+  static async findPending({ includeRejected = false } = {}) {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.username, u.role, u.is_active, u.email_verified_at,
+              u.created_at AS signed_up_at,
+              p.firstname, p.lastname, p.middlename, p.about, p.occupation,
+              p.phone_number, p.date_of_birth, p.gender,
+              r.decision AS last_decision, r.reason AS last_reason, r.created_at AS last_reviewed_at
+       FROM users u
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       LEFT JOIN LATERAL (
+         SELECT decision, reason, created_at FROM membership_reviews
+         WHERE user_id = u.id
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) r ON TRUE
+       WHERE u.is_active = FALSE
+         AND (r.decision IS NULL OR ($1::BOOLEAN AND r.decision = 'rejected'))
+       ORDER BY u.created_at ASC`,
+      [includeRejected]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MembershipReview;
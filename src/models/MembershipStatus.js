@@ -0,0 +1,57 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+
+class MembershipStatus {
+  // Move a user to another membership status and record the change. With `from`, only users currently in
+  // that status are moved. Returns the recorded change, or null if nothing changed.
+  // Runs in its own transaction unless a client from an enclosing one is passed.
+  static async change({ userId, status, from = null, reason = null, changedBy = null }, client = null) {
+    if (!client) {
+      return withTransaction(tx => this.change({ userId, status, from, reason, changedBy }, tx));
+    }
+
+    const current = await client.query(
+      'SELECT membership_status FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const previous = current.rows[0]?.membership_status;
+
+    if (!previous || previous === status || (from && previous !== from)) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE users SET membership_status = $1, membership_status_changed_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [status, userId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO membership_status_changes (user_id, from_status, to_status, reason, changed_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, previous, status, reason, changedBy]
+    );
+    return result.rows[0];
+  }
+
+  // Approving or activating an applicant makes them an active member
+  static async admit(userId, changedBy, client = null) {
+    return this.change({ userId, status: 'active', from: 'applicant', reason: 'Approved', changedBy }, client);
+  }
+
+  // Status changes of a user, newest first
+  static async findHistory(userId) {
+    const result = await pool.query(
+      `SELECT c.id, c.from_status, c.to_status, c.reason, c.changed_by, u.username AS changed_by_username, c.created_at
+       FROM membership_status_changes c
+       LEFT JOIN users u ON c.changed_by = u.id
+       WHERE c.user_id = $1
+       ORDER BY c.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MembershipStatus;
@@ -0,0 +1,41 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+class PasswordReset {
+  // Create a reset token for a user, invalidating any earlier ones
+  static async create(userId, ttlMinutes = RESET_TOKEN_TTL_MINUTES) {
+    const token = generateToken();
+
+    await pool.query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+
+    const result = await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3::INT))
+       RETURNING expires_at`,
+      [userId, hashToken(token), ttlMinutes]
+    );
+
+    return { token, expires_at: result.rows[0].expires_at };
+  }
+
+  // Mark a valid token as used and return its user ID (single use)
+  static async consume(token) {
+    const result = await pool.query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+    return result.rows[0]?.user_id || null;
+  }
+}
+
+module.exports = PasswordReset;
@@ -182,6 +182,20 @@ class Poll {
     const result = await pool.query('SELECT id FROM polls WHERE id = $1', [id]);
     return result.rows.length > 0;
   }
+
+  // Get the polls a user voted in and the option they chose
+  static async findVotesByUser(userId) {
+    const result = await pool.query(
+      `SELECT pv.poll_id, p.question, po.option_text, pv.created_at
+       FROM poll_votes pv
+       JOIN polls p ON pv.poll_id = p.id
+       JOIN poll_options po ON pv.option_id = po.id
+       WHERE pv.user_id = $1
+       ORDER BY pv.created_at`,
+      [userId]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Poll;
@@ -0,0 +1,142 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const RolePermission = require('./RolePermission');
+
+const ROLE_COLUMNS = `r.name, r.description, r.is_builtin, r.is_office,
+       COALESCE(rp.permissions, ARRAY[]::TEXT[]) AS permissions,
+       COALESCE(rp.require_two_factor, false) AS require_two_factor,
+       r.created_at, r.updated_at`;
+
+class Role {
+  // Find all roles with their permissions and number of users
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT ${ROLE_COLUMNS},
+              (SELECT COUNT(*)::INT FROM users u WHERE u.role = r.name) AS user_count
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role = r.name
+       ORDER BY r.is_builtin DESC, r.name`
+    );
+    return result.rows;
+  }
+
+  // Find role by name
+  static async findByName(name) {
+    const result = await pool.query(
+      `SELECT ${ROLE_COLUMNS}
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role = r.name
+       WHERE r.name = $1`,
+      [name]
+    );
+    return result.rows[0];
+  }
+
+  // Check if role exists
+  static async exists(name) {
+    const result = await pool.query('SELECT 1 FROM roles WHERE name = $1', [name]);
+    return result.rows.length > 0;
+  }
+
+  // Check if a name is already used by another role (case-insensitive)
+  static async nameTaken(name, exceptName = null) {
+    const result = await pool.query(
+      'SELECT 1 FROM roles WHERE LOWER(name) = LOWER($1) AND ($2::VARCHAR IS NULL OR name <> $2)',
+      [name, exceptName]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Create a role together with its permission set
+  static async create({ name, description, permissions, requireTwoFactor = false, isOffice = false }) {
+    await withTransaction(async (client) => {
+      await client.query(
+        'INSERT INTO roles (name, description, is_office) VALUES ($1, $2, $3)',
+        [name, description || null, isOffice]
+      );
+      await client.query(
+        'INSERT INTO role_permissions (role, permissions, require_two_factor) VALUES ($1, $2, $3)',
+        [name, permissions, requireTwoFactor]
+      );
+    });
+    return this.findByName(name);
+  }
+
+  // Rename a role and/or change its description, office flag or permissions, all or nothing
+  // (renames cascade to users and invitations, and are carried over to role history and elections)
+  static async update(name, { newName, description, isOffice, permissions }) {
+    const renamed = await withTransaction(async (client) => {
+      if (permissions !== undefined) {
+        await RolePermission.update(name, permissions, client);
+      }
+
+      const result = await client.query(
+        `UPDATE roles
+         SET name = COALESCE($1, name),
+             description = CASE WHEN $2::BOOLEAN THEN $3 ELSE description END,
+             is_office = COALESCE($4, is_office)
+         WHERE name = $5
+         RETURNING name`,
+        [newName || null, description !== undefined, description || null,
+          typeof isOffice === 'boolean' ? isOffice : null, name]
+      );
+
+      if (result.rows[0] && result.rows[0].name !== name) {
+        await client.query(
+          'UPDATE role_assignments SET role = $1 WHERE role = $2',
+          [result.rows[0].name, name]
+        );
+        await client.query(
+          'UPDATE elections SET role = $1 WHERE role = $2',
+          [result.rows[0].name, name]
+        );
+      }
+
+      return result.rows[0];
+    });
+
+    return renamed ? this.findByName(renamed.name) : null;
+  }
+
+  // Retire a custom role, moving its users and pending invitations to another role
+  static async remove(name, reassignTo) {
+    return withTransaction(async (client) => {
+      const users = await client.query(
+        'UPDATE users SET role = $1 WHERE role = $2 RETURNING id',
+        [reassignTo, name]
+      );
+      await client.query(
+        'UPDATE invitations SET role = $1 WHERE role = $2',
+        [reassignTo, name]
+      );
+
+      // Close open terms in the retired role and record the move in each user's history
+      await client.query(
+        `UPDATE role_assignments
+         SET ended_at = CURRENT_TIMESTAMP, end_reason = 'role_retired'
+         WHERE role = $1 AND ended_at IS NULL`,
+        [name]
+      );
+      if (users.rows.length > 0) {
+        await client.query(
+          `INSERT INTO role_assignments (user_id, role, applied_at)
+           SELECT UNNEST($1::VARCHAR[]), $2, CURRENT_TIMESTAMP`,
+          [users.rows.map(user => user.id), reassignTo]
+        );
+      }
+
+      const deleted = await client.query(
+        'DELETE FROM roles WHERE name = $1 AND is_builtin = FALSE RETURNING name',
+        [name]
+      );
+
+      if (deleted.rows.length === 0) {
+        throw new Error(`Role ${name} could not be deleted`);
+      }
+
+      return { reassigned_users: users.rowCount };
+    });
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,196 @@
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { lockAdmins, isLastActiveAdmin } = require('../utils/adminGuard');
+
+const STATUS_COLUMN = `CASE
+         WHEN ra.ended_at IS NOT NULL THEN 'ended'
+         WHEN ra.applied_at IS NULL THEN 'scheduled'
+         ELSE 'current'
+       END AS status`;
+
+// Close the user's open, already-started assignments and make the given one current
+const activate = async (client, assignment) => {
+  await client.query(
+    `UPDATE role_assignments
+     SET ended_at = CURRENT_TIMESTAMP,
+         end_reason = 'replaced',
+         effective_to = GREATEST(effective_from, LEAST(COALESCE(effective_to, CURRENT_DATE), CURRENT_DATE))
+     WHERE user_id = $1 AND id <> $2 AND applied_at IS NOT NULL AND ended_at IS NULL`,
+    [assignment.user_id, assignment.id]
+  );
+
+  const result = await client.query(
+    `UPDATE role_assignments SET applied_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [assignment.id]
+  );
+
+  await client.query(
+    'UPDATE users SET role = $1 WHERE id = $2',
+    [assignment.role, assignment.user_id]
+  );
+
+  return result.rows[0];
+};
+
+class RoleAssignment {
+  // Assign a role for a term. Starts now unless effectiveFrom is in the future, in which case
+  // it is scheduled and the current term is cut short the day before. Supersedes other scheduled changes.
+  // Runs in its own transaction unless a client from an enclosing one is passed.
+  static async assign({ userId, role, effectiveFrom = null, effectiveTo = null, assignedBy = null }, client = null) {
+    if (!client) {
+      return withTransaction(tx => this.assign({ userId, role, effectiveFrom, effectiveTo, assignedBy }, tx));
+    }
+
+    const start = await client.query(
+      'SELECT COALESCE($1::DATE, CURRENT_DATE) <= CURRENT_DATE AS starts_now',
+      [effectiveFrom]
+    );
+    const { starts_now: startsNow } = start.rows[0];
+
+    // Only the latest decision about upcoming changes counts
+    await client.query(
+      `UPDATE role_assignments
+       SET ended_at = CURRENT_TIMESTAMP, end_reason = 'replaced'
+       WHERE user_id = $1 AND applied_at IS NULL AND ended_at IS NULL`,
+      [userId]
+    );
+
+    const inserted = await client.query(
+      `INSERT INTO role_assignments (user_id, role, effective_from, effective_to, assigned_by)
+       VALUES ($1, $2, COALESCE($3::DATE, CURRENT_DATE), $4, $5)
+       RETURNING *`,
+      [userId, role, effectiveFrom, effectiveTo || null, assignedBy]
+    );
+    const assignment = inserted.rows[0];
+
+    if (startsNow) {
+      return activate(client, assignment);
+    }
+
+    // The current term ends the day before the scheduled one starts
+    await client.query(
+      `UPDATE role_assignments ra
+       SET effective_to = GREATEST(ra.effective_from, LEAST(COALESCE(ra.effective_to, next.effective_from - 1), next.effective_from - 1))
+       FROM role_assignments next
+       WHERE next.id = $2
+         AND ra.user_id = $1 AND ra.applied_at IS NOT NULL AND ra.ended_at IS NULL`,
+      [userId, assignment.id]
+    );
+
+    return assignment;
+  }
+
+  // Start scheduled assignments whose effective date has come. A change that would leave no active
+  // Admin is held back (and retried on the next run) until another Admin exists.
+  static async applyDue() {
+    const due = await pool.query(
+      `SELECT * FROM role_assignments
+       WHERE applied_at IS NULL AND ended_at IS NULL AND effective_from <= CURRENT_DATE
+       ORDER BY effective_from, created_at`
+    );
+
+    const started = [];
+    for (const assignment of due.rows) {
+      const applied = await withTransaction(async (client) => {
+        await lockAdmins(client);
+        if (assignment.role !== 'Admin' && await isLastActiveAdmin(assignment.user_id, client)) {
+          console.warn(`Role change to ${assignment.role} for ${assignment.user_id} held back: last active Admin`);
+          return null;
+        }
+        return activate(client, assignment);
+      });
+
+      if (applied) {
+        started.push(applied);
+      }
+    }
+
+    return started;
+  }
+
+  // End terms whose end date has passed; members still holding that role revert to Member.
+  // A term held by the last active Admin stays open until another Admin exists (re-checked per term,
+  // so two Admin terms ending together can't both lapse).
+  static async endExpired() {
+    const expired = await pool.query(
+      `SELECT ra.* FROM role_assignments ra
+       JOIN users u ON ra.user_id = u.id
+       WHERE ra.applied_at IS NOT NULL AND ra.ended_at IS NULL AND ra.effective_to < CURRENT_DATE
+         AND NOT (u.role = 'Admin' AND ra.role = 'Admin' AND u.is_active AND NOT EXISTS (
+           SELECT 1 FROM users other WHERE other.role = 'Admin' AND other.is_active AND other.id <> u.id
+         ))`
+    );
+
+    const ended = [];
+    for (const assignment of expired.rows) {
+      await withTransaction(async (client) => {
+        await lockAdmins(client);
+        if (assignment.role === 'Admin' && await isLastActiveAdmin(assignment.user_id, client)) {
+          return;
+        }
+
+        await client.query(
+          `UPDATE role_assignments SET ended_at = CURRENT_TIMESTAMP, end_reason = 'term_ended'
+           WHERE id = $1`,
+          [assignment.id]
+        );
+
+        const reverted = await client.query(
+          `UPDATE users SET role = 'Member'
+           WHERE id = $1 AND role = $2 AND role <> 'Member'
+           RETURNING id`,
+          [assignment.user_id, assignment.role]
+        );
+
+        if (reverted.rows.length > 0) {
+          await client.query(
+            `INSERT INTO role_assignments (user_id, role, applied_at)
+             VALUES ($1, 'Member', CURRENT_TIMESTAMP)`,
+            [assignment.user_id]
+          );
+        }
+
+        ended.push(assignment);
+      });
+    }
+
+    return ended;
+  }
+
+  // Role history for a user, newest first
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT ra.id, ra.role, ra.effective_from, ra.effective_to, ra.applied_at, ra.ended_at, ra.end_reason,
+              ra.assigned_by, u.username AS assigned_by_username, ra.created_at,
+              ${STATUS_COLUMN}
+       FROM role_assignments ra
+       LEFT JOIN users u ON ra.assigned_by = u.id
+       WHERE ra.user_id = $1
+       ORDER BY ra.effective_from DESC, ra.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Current and past holders of office roles (public)
+  static async findOfficers(role = null) {
+    const result = await pool.query(
+      `SELECT ra.id, ra.role, ra.effective_from, ra.effective_to, ra.ended_at,
+              u.id AS user_id, u.username, p.firstname, p.lastname,
+              ${STATUS_COLUMN}
+       FROM role_assignments ra
+       JOIN roles r ON r.name = ra.role AND r.is_office = TRUE
+       JOIN users u ON ra.user_id = u.id
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       WHERE ra.applied_at IS NOT NULL
+         AND ($1::VARCHAR IS NULL OR ra.role = $1)
+       ORDER BY ra.role, ra.effective_from DESC`,
+      [role]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = RoleAssignment;
@@ -13,14 +13,14 @@ class RolePermission {
   // Find all roles
   static async findAll() {
     const result = await pool.query(
-      'SELECT role, permissions FROM role_permissions ORDER BY role'
+      'SELECT role, permissions, require_two_factor FROM role_permissions ORDER BY role'
     );
     return result.rows;
   }
 
-  // Update permissions
-  static async update(role, permissions) {
-    const result = await pool.query(
+  // Update permissions (inside a transaction when a client is passed)
+  static async update(role, permissions, client = pool) {
+    const result = await client.query(
       `UPDATE role_permissions 
        SET permissions = $1, updated_at = CURRENT_TIMESTAMP 
        WHERE role = $2 
@@ -29,6 +29,27 @@ class RolePermission {
     );
     return result.rows[0];
   }
+
+  // Check whether a role must use two-factor authentication
+  static async isTwoFactorRequired(role) {
+    const result = await pool.query(
+      'SELECT require_two_factor FROM role_permissions WHERE role = $1',
+      [role]
+    );
+    return result.rows[0]?.require_two_factor || false;
+  }
+
+  // Enforce or relax two-factor authentication for a role
+  static async setTwoFactorRequired(role, required) {
+    const result = await pool.query(
+      `UPDATE role_permissions
+       SET require_two_factor = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE role = $2
+       RETURNING role, permissions, require_two_factor`,
+      [required, role]
+    );
+    return result.rows[0];
+  }
 }
 
 module.exports = RolePermission;
@@ -0,0 +1,120 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+class Session {
+  // Create session and return it together with the plain refresh token
+  static async create({ userId, userAgent, ipAddress }) {
+    const refreshToken = generateToken(48);
+
+    const result = await pool.query(
+      `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5::INT))
+       RETURNING id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at`,
+      [userId, hashToken(refreshToken), userAgent || null, ipAddress || null, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return { session: result.rows[0], refreshToken };
+  }
+
+  // Find active session by refresh token
+  static async findActiveByRefreshToken(refreshToken) {
+    const result = await pool.query(
+      `SELECT * FROM user_sessions
+       WHERE refresh_token_hash = $1
+         AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(refreshToken)]
+    );
+    return result.rows[0];
+  }
+
+  // Replace the refresh token of a session (rotation). Only succeeds for the token currently
+  // on the session, so two refreshes with the same token can't both win; returns null otherwise.
+  static async rotate(sessionId, oldRefreshToken, { userAgent, ipAddress }) {
+    const refreshToken = generateToken(48);
+
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET previous_refresh_token_hash = refresh_token_hash,
+           refresh_token_hash = $1,
+           user_agent = COALESCE($2, user_agent),
+           ip_address = COALESCE($3, ip_address),
+           last_used_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + make_interval(days => $4::INT)
+       WHERE id = $5 AND refresh_token_hash = $6 AND revoked_at IS NULL
+       RETURNING id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at`,
+      [hashToken(refreshToken), userAgent || null, ipAddress || null, REFRESH_TOKEN_TTL_DAYS, sessionId, hashToken(oldRefreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return { session: result.rows[0], refreshToken };
+  }
+
+  // A refresh token that was already rotated away is being replayed, so it may have been stolen:
+  // revoke the session it belonged to. Returns whether a session was revoked.
+  static async revokeByReusedRefreshToken(refreshToken) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [hashToken(refreshToken)]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Mark session as used; returns false if it is revoked or expired
+  static async touch(sessionId) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING id`,
+      [sessionId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // List active sessions for a user
+  static async findActiveByUserId(userId) {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Revoke a single session belonging to a user
+  static async revoke(sessionId, userId) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Revoke every session of a user, optionally keeping one
+  static async revokeAllForUser(userId, exceptSessionId = null) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($2::UUID IS NULL OR id <> $2::UUID)`,
+      [userId, exceptSessionId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = Session;
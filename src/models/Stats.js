@@ -0,0 +1,140 @@
+const pool = require('../config/database');
+
+// Aggregates for the admin dashboard. Ranges are inclusive dates (YYYY-MM-DD).
+class Stats {
+  // New and total members per month
+  static async memberGrowth(from, to) {
+    const result = await pool.query(
+      `SELECT TO_CHAR(m.month, 'YYYY-MM') AS month,
+              COUNT(u.id) FILTER (WHERE u.created_at >= m.month)::INT AS new_members,
+              COUNT(u.id)::INT AS total_members
+       FROM generate_series(DATE_TRUNC('month', $1::TIMESTAMP), DATE_TRUNC('month', $2::TIMESTAMP), INTERVAL '1 month') AS m(month)
+       LEFT JOIN users u ON u.created_at < LEAST(m.month + INTERVAL '1 month', $2::DATE + 1)
+       GROUP BY m.month
+       ORDER BY m.month`,
+      [from, to]
+    );
+    return result.rows;
+  }
+
+  // Active and inactive accounts per role (current, not limited to the range)
+  static async membersByRole() {
+    const result = await pool.query(
+      `SELECT r.name AS role,
+              COUNT(u.id) FILTER (WHERE u.is_active)::INT AS active,
+              COUNT(u.id) FILTER (WHERE NOT u.is_active)::INT AS inactive
+       FROM roles r
+       LEFT JOIN users u ON u.role = r.name
+       GROUP BY r.name
+       ORDER BY r.name`
+    );
+    return result.rows;
+  }
+
+  // Accounts per membership status (current)
+  static async membersByStatus() {
+    const result = await pool.query(
+      `SELECT membership_status, COUNT(*)::INT AS members
+       FROM users
+       GROUP BY membership_status
+       ORDER BY membership_status`
+    );
+    return result.rows;
+  }
+
+  // Events per month with RSVPs and check-ins; check-in rate only counts events that have taken place
+  static async eventsByMonth(from, to) {
+    const result = await pool.query(
+      `WITH per_event AS (
+         SELECT e.id, DATE_TRUNC('month', e.event_date::TIMESTAMP) AS month, e.event_date < CURRENT_DATE AS past,
+                COUNT(a.id) FILTER (WHERE a.status <> 'cancelled') AS rsvps,
+                COUNT(a.id) FILTER (WHERE a.status = 'cancelled') AS cancelled,
+                COUNT(a.id) FILTER (WHERE a.status = 'checked_in') AS checked_in
+         FROM community_events e
+         LEFT JOIN event_attendees a ON a.event_id = e.id
+         WHERE e.event_date BETWEEN $1 AND $2
+         GROUP BY e.id
+       )
+       SELECT TO_CHAR(m.month, 'YYYY-MM') AS month,
+              COUNT(pe.id)::INT AS events,
+              COALESCE(SUM(pe.rsvps), 0)::INT AS rsvps,
+              COALESCE(SUM(pe.cancelled), 0)::INT AS cancelled_rsvps,
+              COALESCE(SUM(pe.checked_in), 0)::INT AS checked_in,
+              ROUND(COALESCE(SUM(pe.rsvps), 0)::NUMERIC / NULLIF(COUNT(pe.id), 0), 1)::FLOAT AS rsvps_per_event,
+              ROUND(SUM(pe.checked_in) FILTER (WHERE pe.past)::NUMERIC
+                    / NULLIF(SUM(pe.rsvps) FILTER (WHERE pe.past), 0), 3)::FLOAT AS check_in_rate
+       FROM generate_series(DATE_TRUNC('month', $1::TIMESTAMP), DATE_TRUNC('month', $2::TIMESTAMP), INTERVAL '1 month') AS m(month)
+       LEFT JOIN per_event pe ON pe.month = m.month
+       GROUP BY m.month
+       ORDER BY m.month`,
+      [from, to]
+    );
+    return result.rows;
+  }
+
+  // Polls created in the range (election ballots excluded) and the share of active members who voted
+  static async pollParticipation(from, to) {
+    const result = await pool.query(
+      `WITH members AS (
+         SELECT COUNT(*) AS active FROM users WHERE is_active
+       )
+       SELECT p.id, p.question, p.created_at, COUNT(v.id)::INT AS votes,
+              ROUND(COUNT(v.id)::NUMERIC / NULLIF((SELECT active FROM members), 0), 3)::FLOAT AS participation_rate
+       FROM polls p
+       LEFT JOIN poll_votes v ON v.poll_id = p.id
+       WHERE p.created_at >= $1::DATE AND p.created_at < $2::DATE + 1
+         AND NOT EXISTS (SELECT 1 FROM elections el WHERE el.poll_id = p.id)
+       GROUP BY p.id
+       ORDER BY p.created_at DESC`,
+      [from, to]
+    );
+
+    const polls = result.rows;
+    const rates = polls.map(poll => poll.participation_rate).filter(rate => rate !== null);
+    return {
+      polls: polls.length,
+      votes: polls.reduce((sum, poll) => sum + poll.votes, 0),
+      average_participation_rate: rates.length > 0
+        ? Math.round((rates.reduce((sum, rate) => sum + rate, 0) / rates.length) * 1000) / 1000
+        : null,
+      items: polls
+    };
+  }
+
+  // Blog posts waiting for review or for their author's revision (current) and posts written in the range
+  static async blogBacklog(from, to) {
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE status = 'submitted')::INT AS pending,
+              MIN(submitted_at) FILTER (WHERE status = 'submitted') AS oldest_pending_at,
+              ROUND((AVG(EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - submitted_at) / 86400) FILTER (WHERE status = 'submitted'))::NUMERIC, 1)::FLOAT
+                AS average_pending_days,
+              COUNT(*) FILTER (WHERE status = 'changes_requested')::INT AS awaiting_revision,
+              COUNT(*) FILTER (WHERE created_at >= $1::DATE AND created_at < $2::DATE + 1)::INT AS written_in_range
+       FROM blog_posts`,
+      [from, to]
+    );
+    return result.rows[0];
+  }
+
+  // Members who hosted the most events in the range
+  static async topHosts(from, to, limit = 10) {
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.username, p.firstname, p.lastname,
+              COUNT(DISTINCT e.id)::INT AS events,
+              COUNT(a.id) FILTER (WHERE a.status <> 'cancelled')::INT AS rsvps,
+              COUNT(a.id) FILTER (WHERE a.status = 'checked_in')::INT AS checked_in
+       FROM community_events e
+       JOIN users u ON e.event_host = u.id
+       LEFT JOIN user_profiles p ON p.user_id = u.id
+       LEFT JOIN event_attendees a ON a.event_id = e.id
+       WHERE e.event_date BETWEEN $1 AND $2
+       GROUP BY u.id, u.username, p.firstname, p.lastname
+       ORDER BY events DESC, rsvps DESC, u.username
+       LIMIT $3`,
+      [from, to, limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = Stats;
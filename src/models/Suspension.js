@@ -0,0 +1,86 @@
+const pool = require('../config/database');
+
+// In force: not lifted, and either open-ended or not yet over
+const IN_FORCE = 's.lifted_at IS NULL AND (s.ends_at IS NULL OR s.ends_at > CURRENT_TIMESTAMP)';
+
+const STATUS_COLUMN = `CASE
+         WHEN s.lifted_at IS NOT NULL THEN 'lifted'
+         WHEN s.ends_at IS NOT NULL AND s.ends_at <= CURRENT_TIMESTAMP THEN 'expired'
+         ELSE 'active'
+       END AS status`;
+
+const SUSPENSION_COLUMNS = `s.id, s.user_id, s.reason, s.starts_at, s.ends_at,
+       s.suspended_by, suspender.username AS suspended_by_username,
+       s.lifted_at, s.lifted_by, lifter.username AS lifted_by_username, s.lift_reason, s.created_at,
+       ${STATUS_COLUMN}`;
+
+const SUSPENSION_JOINS = `LEFT JOIN users suspender ON s.suspended_by = suspender.id
+       LEFT JOIN users lifter ON s.lifted_by = lifter.id`;
+
+class Suspension {
+  // Suspend a user; access comes back by itself once endsAt has passed
+  static async create({ userId, reason, endsAt, suspendedBy }) {
+    const result = await pool.query(
+      `INSERT INTO user_suspensions (user_id, reason, ends_at, suspended_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [userId, reason, endsAt || null, suspendedBy]
+    );
+    return this.findById(result.rows[0].id);
+  }
+
+  // Find suspension by ID
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT ${SUSPENSION_COLUMNS}
+       FROM user_suspensions s
+       ${SUSPENSION_JOINS}
+       WHERE s.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // The suspension currently in force for a user, if any
+  static async findCurrent(userId) {
+    const result = await pool.query(
+      `SELECT ${SUSPENSION_COLUMNS}
+       FROM user_suspensions s
+       ${SUSPENSION_JOINS}
+       WHERE s.user_id = $1 AND ${IN_FORCE}
+       ORDER BY s.starts_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // All suspensions of a user, newest first
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      `SELECT ${SUSPENSION_COLUMNS}
+       FROM user_suspensions s
+       ${SUSPENSION_JOINS}
+       WHERE s.user_id = $1
+       ORDER BY s.starts_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Lift the suspension in force for a user early. Returns null if there is none.
+  static async lift(userId, { liftedBy, reason }) {
+    const result = await pool.query(
+      `UPDATE user_suspensions s
+       SET lifted_at = CURRENT_TIMESTAMP, lifted_by = $2, lift_reason = $3
+       WHERE s.user_id = $1 AND ${IN_FORCE}
+       RETURNING s.id`,
+      [userId, liftedBy, reason || null]
+    );
+    return result.rows[0] ? this.findById(result.rows[0].id) : null;
+  }
+}
+
+Suspension.IN_FORCE = IN_FORCE;
+
+module.exports = Suspension;
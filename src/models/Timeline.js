@@ -136,6 +136,15 @@ class Timeline {
     const result = await pool.query('SELECT id FROM timeline_posts WHERE id = $1', [id]);
     return result.rows.length > 0;
   }
+
+  // Find all timeline posts written by a user
+  static async findByAuthor(authorId) {
+    const result = await pool.query(
+      'SELECT * FROM timeline_posts WHERE author_id = $1 ORDER BY created_at',
+      [authorId]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Timeline;
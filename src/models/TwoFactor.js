@@ -0,0 +1,98 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/secureToken');
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactor {
+  // Find 2FA settings by user ID
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      'SELECT user_id, secret, enabled_at, created_at FROM user_two_factor WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // Store a new (not yet enabled) secret, replacing any pending one
+  static async saveSecret(userId, secret) {
+    const result = await pool.query(
+      `INSERT INTO user_two_factor (user_id, secret)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id)
+       DO UPDATE SET secret = $2, enabled_at = NULL, last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+       RETURNING user_id, enabled_at`,
+      [userId, secret]
+    );
+    return result.rows[0];
+  }
+
+  // Enable 2FA after the first code was verified
+  static async enable(userId) {
+    const result = await pool.query(
+      `UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING user_id, enabled_at`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // Record the time step of an accepted TOTP code. Returns false if a code from that step or a later
+  // one was already accepted, so each code works only once.
+  static async useTimeStep(userId, step) {
+    const result = await pool.query(
+      `UPDATE user_two_factor SET last_used_step = $2
+       WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+       RETURNING user_id`,
+      [userId, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Remove 2FA and recovery codes for a user
+  static async remove(userId) {
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    const result = await pool.query('DELETE FROM user_two_factor WHERE user_id = $1 RETURNING user_id', [userId]);
+    return result.rows.length > 0;
+  }
+
+  // Replace recovery codes and return the new plain codes (shown once)
+  static async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = generateToken(5);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await pool.query(
+      `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+       SELECT $1, UNNEST($2::TEXT[])`,
+      [userId, codes.map(code => hashToken(code))]
+    );
+
+    return codes;
+  }
+
+  // Use up a recovery code; returns false if it is unknown or already used
+  static async consumeRecoveryCode(userId, code) {
+    const result = await pool.query(
+      `UPDATE two_factor_recovery_codes
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(code.trim().toLowerCase())]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Count unused recovery codes
+  static async countRecoveryCodes(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+}
+
+module.exports = TwoFactor;
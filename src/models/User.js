@@ -1,11 +1,79 @@
 const pool = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { withTransaction } = require('../utils/transaction');
+const { generateToken } = require('../utils/secureToken');
+const { lockAdmins, isLastActiveAdmin } = require('../utils/adminGuard');
+const RoleAssignment = require('./RoleAssignment');
+const MembershipReview = require('./MembershipReview');
+const MembershipStatus = require('./MembershipStatus');
+const Invitation = require('./Invitation');
+
+// Columns and joins for the admin user listing; last login is the start of the newest session
+const LISTING_COLUMNS = `u.id, u.email, u.username, u.role, u.is_active,
+       u.membership_status, u.membership_status_changed_at, u.email_verified_at,
+       p.firstname, p.lastname, l.last_login_at, u.created_at`;
+
+const LISTING_JOINS = `LEFT JOIN user_profiles p ON p.user_id = u.id
+       LEFT JOIN LATERAL (
+         SELECT MAX(s.created_at) AS last_login_at FROM user_sessions s WHERE s.user_id = u.id
+       ) l ON TRUE`;
+
+// Sortable columns of the admin user listing
+const LISTING_SORTS = {
+  created_at: 'u.created_at',
+  username: 'u.username',
+  email: 'u.email',
+  role: 'u.role',
+  name: "LOWER(CONCAT_WS(' ', p.lastname, p.firstname))",
+  last_login_at: 'l.last_login_at'
+};
+
+// WHERE clause and parameters for the admin user listing filters
+const buildListingFilters = ({ search, role, isActive, membershipStatuses, createdFrom, createdTo, lastLoginFrom, lastLoginTo, neverLoggedIn }) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    add(`(u.username ILIKE ? OR u.email ILIKE ? OR p.firstname ILIKE ? OR p.lastname ILIKE ?
+          OR CONCAT_WS(' ', p.firstname, p.lastname) ILIKE ?)`, pattern);
+  }
+  if (role) add('u.role = ?', role);
+  if (isActive !== undefined) add('u.is_active = ?', isActive);
+  if (membershipStatuses && membershipStatuses.length > 0) add('u.membership_status = ANY(?)', membershipStatuses);
+  if (createdFrom) add('u.created_at >= ?', createdFrom);
+  if (createdTo) add('u.created_at <= ?', createdTo);
+  if (lastLoginFrom) add('l.last_login_at >= ?', lastLoginFrom);
+  if (lastLoginTo) add('l.last_login_at <= ?', lastLoginTo);
+  if (neverLoggedIn) conditions.push('l.last_login_at IS NULL');
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Lock and return a user row for a role or activation change
+const lockUser = async (client, userId) => {
+  const result = await client.query(
+    'SELECT id, username, role, is_active FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  return result.rows[0];
+};
 
 class User {
   // Find user by ID
   static async findById(id) {
     const result = await pool.query(
-      'SELECT id, email, username, role, is_active, created_at, updated_at FROM users WHERE id = $1',
+      `SELECT id, email, username, role, is_active, membership_status, membership_status_changed_at,
+              email_verified_at, deletion_scheduled_for, created_at, updated_at
+       FROM users WHERE id = $1`,
       [id]
     );
     return result.rows[0];
@@ -14,7 +82,7 @@ class User {
   // Find user by email
   static async findByEmail(email) {
     const result = await pool.query(
-      'SELECT id, email, password, username, role, is_active, created_at FROM users WHERE email = $1',
+      'SELECT id, email, password, username, role, is_active, email_verified_at, created_at FROM users WHERE email = $1',
       [email]
     );
     return result.rows[0];
@@ -30,15 +98,16 @@ class User {
   }
 
   // Create new user
-  static async create({ email, password, username, role = 'Member' }) {
+  static async create({ email, password, username, role = 'Member', is_active = false }, client = pool) {
     try {
       const hashedPassword = await bcrypt.hash(password, 10);
       
-      const result = await pool.query(
-        `INSERT INTO users (email, password, username, role, is_active) 
-         VALUES ($1, $2, $3, $4, $5) 
-         RETURNING id, email, username, role, is_active, created_at`,
-        [email, hashedPassword, username, role, false]
+      // Accounts that start out activated (e.g. invited) skip the applicant stage
+      const result = await client.query(
+        `INSERT INTO users (email, password, username, role, is_active, membership_status) 
+         VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 THEN 'active' ELSE 'applicant' END) 
+         RETURNING id, email, username, role, is_active, membership_status, created_at`,
+        [email, hashedPassword, username, role, is_active]
       );
       
       return result.rows[0];
@@ -48,6 +117,26 @@ class User {
     }
   }
 
+  // Create an account by redeeming an invitation code: the account is active straight away and the
+  // role the invitation pre-assigns is recorded in the role history. Claiming the code, creating the
+  // account and recording the redemption happen together. Returns null for an unusable code.
+  static async createInvited({ email, password, username }, inviteCode) {
+    return withTransaction(async (client) => {
+      const invitation = await Invitation.claim(inviteCode, email, client);
+      if (!invitation) {
+        return null;
+      }
+
+      const user = await this.create({ email, password, username, role: invitation.role, is_active: true }, client);
+      if (invitation.role !== 'Member') {
+        await RoleAssignment.assign({ userId: user.id, role: invitation.role, assignedBy: invitation.created_by }, client);
+      }
+      await Invitation.recordRedemption(invitation.id, user.id, client);
+
+      return { user, invitation };
+    });
+  }
+
   // Check if email exists
   static async emailExists(email) {
     const result = await pool.query(
@@ -71,6 +160,38 @@ class User {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
+  // Update password
+  static async updatePassword(userId, newPassword) {
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const result = await pool.query(
+      'UPDATE users SET password = $1 WHERE id = $2 RETURNING id, email, username, role, is_active',
+      [hashedPassword, userId]
+    );
+    return result.rows[0];
+  }
+
+  // Mark email as verified (only if it is still the user's current email)
+  static async markEmailVerified(userId, email) {
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND email = $2
+       RETURNING id, email, username, role, is_active, email_verified_at`,
+      [userId, email]
+    );
+    return result.rows[0];
+  }
+
+  // Replace email with a confirmed new address
+  static async updateEmail(userId, email) {
+    const result = await pool.query(
+      `UPDATE users SET email = $1, email_verified_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, email, username, role, is_active, email_verified_at`,
+      [email, userId]
+    );
+    return result.rows[0];
+  }
+
   // Update user role
   static async updateRole(userId, newRole) {
     const result = await pool.query(
@@ -81,12 +202,72 @@ class User {
   }
 
   // Activate/deactivate user (Admin only)
-  static async updateActiveStatus(userId, isActive) {
-    const result = await pool.query(
-      'UPDATE users SET is_active = $1 WHERE id = $2 RETURNING id, email, username, role, is_active',
-      [isActive, userId]
-    );
-    return result.rows[0];
+  // Activating an applicant also makes them an active member. Returns null instead of
+  // deactivating the last active Admin.
+  static async updateActiveStatus(userId, isActive, changedBy = null) {
+    return withTransaction(async (client) => {
+      if (!isActive) {
+        await lockAdmins(client);
+        if (await isLastActiveAdmin(userId, client)) {
+          return null;
+        }
+      }
+
+      await client.query('UPDATE users SET is_active = $1 WHERE id = $2', [isActive, userId]);
+
+      if (isActive) {
+        await MembershipStatus.admit(userId, changedBy, client);
+      }
+
+      const result = await client.query(
+        'SELECT id, email, username, role, is_active, membership_status FROM users WHERE id = $1',
+        [userId]
+      );
+      return result.rows[0];
+    });
+  }
+
+  // Approve a pending account: activate it and record the review together. Returns { user, review },
+  // or null when the account was already active (e.g. another reviewer got there first).
+  static async approve(userId, { reason = null, reviewedBy }) {
+    return withTransaction(async (client) => {
+      const pending = await client.query(
+        'UPDATE users SET is_active = TRUE WHERE id = $1 AND NOT is_active RETURNING id',
+        [userId]
+      );
+      if (pending.rows.length === 0) {
+        return null;
+      }
+
+      await MembershipStatus.admit(userId, reviewedBy, client);
+      const review = await MembershipReview.create({ userId, decision: 'approved', reason, reviewedBy }, client);
+
+      const result = await client.query(
+        'SELECT id, email, username, role, is_active, membership_status FROM users WHERE id = $1',
+        [userId]
+      );
+      return { user: result.rows[0], review };
+    });
+  }
+
+  // Give one user a role, optionally for a term (see RoleAssignment.assign). Returns the assignment,
+  // or null instead of taking the role away from the last active Admin.
+  static async assignRole({ userId, role, effectiveFrom = null, effectiveTo = null, assignedBy = null }) {
+    return withTransaction(async (client) => {
+      await lockAdmins(client);
+      await lockUser(client, userId);
+
+      if (role !== 'Admin' && await isLastActiveAdmin(userId, client)) {
+        return null;
+      }
+
+      return RoleAssignment.assign({ userId, role, effectiveFrom, effectiveTo, assignedBy }, client);
+    });
+  }
+
+  // Check if the user is the only active Admin left (inside a transaction when a client is passed)
+  static async isLastActiveAdmin(userId, client = pool) {
+    return isLastActiveAdmin(userId, client);
   }
 
   // Check if user is active
@@ -98,13 +279,234 @@ class User {
     return result.rows[0]?.is_active || false;
   }
 
-  // Get all users
-  static async findAll() {
+  // Get all users, optionally only those in the given membership statuses
+  static async findAll({ membershipStatuses = null } = {}) {
+    const result = await pool.query(
+      `SELECT id, email, username, role, membership_status, email_verified_at, created_at
+       FROM users
+       WHERE $1::VARCHAR[] IS NULL OR membership_status = ANY($1)
+       ORDER BY created_at DESC`,
+      [membershipStatuses && membershipStatuses.length > 0 ? membershipStatuses : null]
+    );
+    return result.rows;
+  }
+
+  // Search users for the admin listing, with profile names and last login
+  static async search(filters = {}, { sort = 'created_at', order = 'desc', page = 1, limit = 20 } = {}) {
+    const { where, params } = buildListingFilters(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    params.push(limit, (page - 1) * limit);
+
     const result = await pool.query(
-      'SELECT id, email, username, role, created_at FROM users ORDER BY created_at DESC'
+      `SELECT ${LISTING_COLUMNS}
+       FROM users u
+       ${LISTING_JOINS}
+       ${where}
+       ORDER BY ${LISTING_SORTS[sort] || LISTING_SORTS.created_at} ${direction} NULLS LAST, u.id
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
     );
     return result.rows;
   }
+
+  // Count users matching the admin listing filters
+  static async countSearch(filters = {}) {
+    const { where, params } = buildListingFilters(filters);
+    const result = await pool.query(
+      `SELECT COUNT(*) FROM users u ${LISTING_JOINS} ${where}`,
+      params
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  // IDs of users matching the admin listing filters, oldest account first
+  static async findIdsMatching(filters = {}, limit = null) {
+    const { where, params } = buildListingFilters(filters);
+    let paging = '';
+    if (limit) {
+      params.push(limit);
+      paging = `LIMIT $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT u.id FROM users u ${LISTING_JOINS} ${where} ORDER BY u.created_at, u.id ${paging}`,
+      params
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Activate or deactivate several users in one transaction. Users that can't be changed are
+  // skipped and reported; returns one result per requested ID.
+  static async bulkSetActive(userIds, isActive, actorId) {
+    return withTransaction(async (client) => {
+      const results = [];
+      await lockAdmins(client);
+
+      for (const userId of userIds) {
+        const user = await lockUser(client, userId);
+        if (!user) {
+          results.push({ user_id: userId, status: 'not_found' });
+          continue;
+        }
+
+        const result = { user_id: user.id, username: user.username };
+
+        if (user.is_active === isActive) {
+          results.push({ ...result, status: 'unchanged' });
+        } else if (!isActive && user.id === actorId) {
+          results.push({ ...result, status: 'skipped', error: 'You cannot deactivate your own account' });
+        } else if (!isActive && await this.isLastActiveAdmin(user.id, client)) {
+          results.push({ ...result, status: 'skipped', error: 'This is the last active Admin', code: 'LAST_ADMIN' });
+        } else {
+          await client.query('UPDATE users SET is_active = $1 WHERE id = $2', [isActive, user.id]);
+
+          // Activating a pending account counts as approving it
+          if (isActive) {
+            await MembershipReview.create({ userId: user.id, decision: 'approved', reviewedBy: actorId }, client);
+            await MembershipStatus.admit(user.id, actorId, client);
+          }
+
+          results.push({ ...result, status: 'updated', before: { is_active: user.is_active }, after: { is_active: isActive } });
+        }
+      }
+
+      return results;
+    });
+  }
+
+  // Give several users a role (optionally for a term) in one transaction. Promotions to Admin
+  // go through AdminPromotion instead. Returns one result per requested ID.
+  static async bulkAssignRole({ userIds, role, effectiveFrom = null, effectiveTo = null, assignedBy }) {
+    return withTransaction(async (client) => {
+      const results = [];
+      await lockAdmins(client);
+
+      for (const userId of userIds) {
+        const user = await lockUser(client, userId);
+        if (!user) {
+          results.push({ user_id: userId, status: 'not_found' });
+          continue;
+        }
+
+        const result = { user_id: user.id, username: user.username };
+
+        if (user.role === role && !effectiveFrom && !effectiveTo) {
+          results.push({ ...result, status: 'unchanged' });
+        } else if (user.id === assignedBy && user.role === 'Admin') {
+          results.push({ ...result, status: 'skipped', error: 'You cannot change your own role from Admin' });
+        } else if (await this.isLastActiveAdmin(user.id, client)) {
+          results.push({ ...result, status: 'skipped', error: 'This is the last active Admin', code: 'LAST_ADMIN' });
+        } else {
+          const assignment = await RoleAssignment.assign({ userId: user.id, role, effectiveFrom, effectiveTo, assignedBy }, client);
+          results.push({
+            ...result,
+            status: assignment.applied_at ? 'updated' : 'scheduled',
+            before: { role: user.role },
+            after: { role }
+          });
+        }
+      }
+
+      return results;
+    });
+  }
+
+  // Create activated accounts with profiles and addresses for imported members, all or nothing.
+  // Each gets a random password; they choose their own through a reset link.
+  static async importMembers(members, importedBy) {
+    return withTransaction(async (client) => {
+      const users = [];
+
+      for (const member of members) {
+        const hashedPassword = await bcrypt.hash(generateToken(), 10);
+        const userResult = await client.query(
+          `INSERT INTO users (email, password, username, role, is_active, membership_status)
+           VALUES ($1, $2, $3, $4, TRUE, 'active')
+           RETURNING id, email, username, role, is_active, membership_status, created_at`,
+          [member.email, hashedPassword, member.username, member.role]
+        );
+        const user = userResult.rows[0];
+
+        await client.query(
+          `INSERT INTO user_profiles (user_id, firstname, lastname, middlename, date_of_birth, gender)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [user.id, member.firstname, member.lastname, member.middlename || null,
+            member.date_of_birth || null, member.gender || null]
+        );
+
+        const { street_number, street_address, post_code, county } = member;
+        if (street_number || street_address || post_code || county) {
+          await client.query(
+            `INSERT INTO user_addresses (user_id, street_number, street_address, post_code, county)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [user.id, street_number || null, street_address || null, post_code || null, county || null]
+          );
+        }
+
+        // Keep role history complete for members imported straight into an office
+        if (member.role !== 'Member') {
+          await RoleAssignment.assign({ userId: user.id, role: member.role, assignedBy: importedBy }, client);
+        }
+
+        users.push(user);
+      }
+
+      return users;
+    });
+  }
+
+  // Schedule account deletion after a grace period
+  static async scheduleDeletion(userId, graceDays) {
+    const result = await pool.query(
+      `UPDATE users
+       SET deletion_requested_at = CURRENT_TIMESTAMP,
+           deletion_scheduled_for = CURRENT_TIMESTAMP + make_interval(days => $2::INT)
+       WHERE id = $1
+       RETURNING id, email, username, deletion_requested_at, deletion_scheduled_for`,
+      [userId, graceDays]
+    );
+    return result.rows[0];
+  }
+
+  // Cancel a pending account deletion
+  static async cancelDeletion(userId) {
+    const result = await pool.query(
+      `UPDATE users
+       SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+       WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+       RETURNING id, email, username`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  // Find accounts whose deletion grace period has ended
+  static async findDueForDeletion() {
+    const result = await pool.query(
+      `SELECT id, username FROM users
+       WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= CURRENT_TIMESTAMP`
+    );
+    return result.rows;
+  }
+
+  // Permanently delete an account. Personal data cascades; authored blogs, timeline posts,
+  // events and polls stay with author/host set to NULL; poll votes are kept without the voter.
+  // Returns null instead of deleting the last active Admin.
+  static async deleteAccount(userId) {
+    return withTransaction(async (client) => {
+      await lockAdmins(client);
+      if (await isLastActiveAdmin(userId, client)) {
+        return null;
+      }
+
+      await client.query('UPDATE poll_votes SET user_id = NULL WHERE user_id = $1', [userId]);
+      const result = await client.query(
+        'DELETE FROM users WHERE id = $1 RETURNING id',
+        [userId]
+      );
+      return result.rows.length > 0;
+    });
+  }
 }
 
 module.exports = User;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AccessToken = require('../models/AccessToken');
+const { authenticateToken } = require('../middleware/auth');
+const { findUnknownPermissions } = require('../config/permissions');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /me/tokens:
+ *   get:
+ *     summary: List the current user's personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens with scope and last-used details (token values are never returned)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokens:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       token_hint:
+ *                         type: string
+ *                         description: Last 4 characters of the token
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_ip:
+ *                         type: string
+ *                       revoked_at:
+ *                         type: string
+ *                         format: date-time
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+// GET /api/me/tokens - List personal access tokens
+router.get('/me/tokens', authenticateToken, async (req, res) => {
+  try {
+    const tokens = await AccessToken.findByUserId(req.user.id);
+    res.json({ tokens });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Failed to get access tokens' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/tokens:
+ *   post:
+ *     summary: Create a personal access token for scripts and integrations
+ *     description: >
+ *       Send the token as `Authorization: Bearer <token>`. Tokens can only call endpoints,
+ *       reads as well as writes, that check a permission included in the token's scope.
+ *       Endpoints without a permission check, and the personal data endpoints under /me,
+ *       refuse them with 403. The token value is shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Website event sync
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Subset of the permissions granted to your role
+ *                 example: [view_attendees]
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Omit for a token that does not expire
+ *     responses:
+ *       201:
+ *         description: Token created
+ *       400:
+ *         description: Validation error or permission not granted to your role
+ *       403:
+ *         description: Not available when authenticated with an access token
+ */
+// POST /api/me/tokens - Create a personal access token
+router.post('/me/tokens', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isString().trim().notEmpty().withMessage('Each permission must be a non-empty string'),
+  body('expires_in_days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).withMessage('expires_in_days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, expires_in_days } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown permissions', unknown_permissions: unknown });
+    }
+
+    // A token can never grant more than the owner's role
+    const rolePermissions = req.user.permissions;
+    if (!rolePermissions.includes('*')) {
+      const notGranted = permissions.filter(permission => !rolePermissions.includes(permission));
+      if (notGranted.length > 0) {
+        return res.status(400).json({
+          error: 'Permissions not granted to your role',
+          permissions: notGranted,
+          your_permissions: rolePermissions
+        });
+      }
+    }
+
+    const expiresAt = expires_in_days
+      ? new Date(Date.now() + parseInt(expires_in_days, 10) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { accessToken, token } = await AccessToken.create({
+      userId: req.user.id,
+      name,
+      permissions,
+      expiresAt
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      access_token: accessToken
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found or already revoked
+ */
+// DELETE /api/me/tokens/:id - Revoke a personal access token
+router.delete('/me/tokens/:id', authenticateToken, [
+  param('id').isUUID().withMessage('Invalid token ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await AccessToken.revoke(req.params.id, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found or already revoked' });
+    }
+
+    res.json({ message: 'Access token revoked', access_token: revoked });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { buildExport, buildExportArchive } = require('../utils/dataExport');
+const { sendAccountDeletionScheduledEmail } = require('../utils/emails');
+
+const router = express.Router();
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+/**
+ * @swagger
+ * /me/export:
+ *   get:
+ *     summary: Download all personal data held about the current user
+ *     description: >
+ *       Covers account, profile, socials, address, connections, RSVPs, poll votes,
+ *       authored blogs and timeline posts. `format=zip` returns the JSON plus one CSV per section.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Data export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ */
+// GET /api/me/export - Export personal data
+router.get('/me/export', authenticateToken, [
+  query('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = await buildExport(req.user.id);
+    const filename = `potluck-export-${req.user.id}-${data.exported_at.slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}.zip"`
+      });
+      return res.send(buildExportArchive(data));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+/**
+ * @swagger
+ * /me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: >
+ *       Schedules deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS, default 14).
+ *       The member can keep signing in and cancel until then. Afterwards personal data is
+ *       removed and authored blogs and timeline posts remain without an author.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Validation error or deletion already scheduled
+ *       401:
+ *         description: Password is wrong
+ *       409:
+ *         description: You are the last active Admin (code LAST_ADMIN)
+ */
+// DELETE /api/me - Schedule account deletion
+router.delete('/me', authenticateToken, [
+  body('password').isString().notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmail(req.user.email);
+    if (!(await User.verifyPassword(req.body.password, user.password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (await User.isLastActiveAdmin(user.id)) {
+      return res.status(409).json({
+        error: 'You are the last active Admin; promote another Admin before deleting your account',
+        code: 'LAST_ADMIN'
+      });
+    }
+
+    const current = await User.findById(user.id);
+    if (current.deletion_scheduled_for) {
+      return res.status(400).json({
+        error: 'Account deletion is already scheduled',
+        deletion_scheduled_for: current.deletion_scheduled_for
+      });
+    }
+
+    const scheduled = await User.scheduleDeletion(user.id, DELETION_GRACE_DAYS);
+
+    sendAccountDeletionScheduledEmail(user, scheduled.deletion_scheduled_for)
+      .catch((err) => console.error('Deletion notice email error:', err));
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      deletion_scheduled_for: scheduled.deletion_scheduled_for
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/cancel-deletion:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ */
+// POST /api/me/cancel-deletion - Keep the account
+router.post('/me/cancel-deletion', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.cancelDeletion(req.user.id);
+    if (!user) {
+      return res.status(400).json({ error: 'No account deletion is scheduled' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+module.exports = router;
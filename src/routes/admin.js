@@ -1,18 +1,188 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Blog = require('../models/Blog');
+const Role = require('../models/Role');
 const RolePermission = require('../models/RolePermission');
-const { authenticateToken } = require('../middleware/auth');
-const checkRoleAccess = require('../middleware/roleAccess');
+const TwoFactor = require('../models/TwoFactor');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const MembershipReview = require('../models/MembershipReview');
+const AuditLog = require('../models/AuditLog');
+const AdminPromotion = require('../models/AdminPromotion');
+const RoleAssignment = require('../models/RoleAssignment');
+const Impersonation = require('../models/Impersonation');
+const PasswordReset = require('../models/PasswordReset');
+const Suspension = require('../models/Suspension');
+const MembershipStatus = require('../models/MembershipStatus');
+const Stats = require('../models/Stats');
+const { authenticateToken, hasPermission, userCan } = require('../middleware/auth');
+const {
+  sendApplicationApprovedEmail,
+  sendApplicationRejectedEmail,
+  sendImportedMemberEmail,
+  sendSuspensionEmail,
+  sendBlogReviewEmail
+} = require('../utils/emails');
+const { recordAudit, pickFields } = require('../utils/audit');
+const { generateImpersonationToken } = require('../utils/tokens');
+const { toCsv } = require('../utils/csv');
+const { createCache } = require('../utils/cache');
+const { IMPORT_COLUMNS, parseMemberCsv, validateMembers } = require('../utils/memberImport');
+const { PERMISSIONS, WILDCARD, findUnknownPermissions, expandPermissions } = require('../config/permissions');
+const {
+  MEMBERSHIP_STATUSES,
+  STATUS_NAMES,
+  canTransition,
+  parseStatusList,
+  membershipStatusRule
+} = require('../config/membership');
+const { canTransitionBlog, allowedBlogTransitions } = require('../config/blogModeration');
 
 const router = express.Router();
 
+// How long the password link emailed to imported members stays valid
+const IMPORT_LINK_TTL_MINUTES = (parseInt(process.env.IMPORT_INVITATION_EXPIRES_DAYS, 10) || 7) * 24 * 60;
+
+// Role names: start with a letter; letters, digits, spaces, hyphens and underscores
+const roleNameValidator = (chain) => chain
+  .isString()
+  .trim()
+  .matches(/^[A-Za-z][A-Za-z0-9 _-]{1,49}$/)
+  .withMessage('Role name must be 2-50 characters: letters, digits, spaces, hyphens or underscores, starting with a letter');
+
+// Spell out what a role's permission set grants, with the '*' wildcard expanded
+const describeRole = (role) => ({
+  ...role,
+  wildcard: role.permissions.includes(WILDCARD),
+  effective_permissions: expandPermissions(role.permissions),
+  unknown_permissions: findUnknownPermissions(role.permissions)
+});
+
+// Fields of a role recorded in the audit log
+const auditedRole = ({ name, description, is_office, permissions, require_two_factor }) => ({
+  name, description, is_office, permissions, require_two_factor
+});
+
+// 400 response for permission strings missing from the registry, or null when all are known
+const rejectUnknownPermissions = (res, permissions) => {
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length === 0) {
+    return null;
+  }
+
+  return res.status(400).json({
+    error: 'Unknown permissions',
+    unknown_permissions: unknown,
+    message: 'See GET /api/admin/permissions for the list of valid permissions'
+  });
+};
+
+// Dashboard statistics are cached per date range
+const statsCache = createCache({ ttlSeconds: parseInt(process.env.STATS_CACHE_SECONDS, 10) || 300 });
+
+const MAX_STATS_RANGE_DAYS = 5 * 366;
+
+// Statistics take calendar dates only; isISO8601 would also let through weeks, ordinal days and bare years
+const STATS_DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true, delimiters: ['-'] };
+
+// Start of the default statistics range: the first day of the month eleven months before `to`
+const defaultStatsFrom = (to) => {
+  const date = new Date(`${to}T00:00:00Z`);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - 11);
+  return date.toISOString().slice(0, 10);
+};
+
+// The most users one bulk action may change
+const MAX_BULK_USERS = 500;
+
+// The most entries one audit log CSV export may contain
+const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+// User listing filters (GET /admin/users); field is query, or a body() under "filter" for bulk actions
+const userFilterRules = (field) => [
+  field('search').optional().trim().isLength({ max: 100 }).withMessage('search must be at most 100 characters'),
+  field('role').optional().isString(),
+  field('is_active').optional().isBoolean().withMessage('is_active must be boolean').toBoolean(),
+  membershipStatusRule(field('membership_status')),
+  field('created_from').optional().isISO8601().withMessage('created_from must be a date'),
+  field('created_to').optional().isISO8601().withMessage('created_to must be a date'),
+  field('last_login_from').optional().isISO8601().withMessage('last_login_from must be a date'),
+  field('last_login_to').optional().isISO8601().withMessage('last_login_to must be a date'),
+  field('never_logged_in').optional().isBoolean().withMessage('never_logged_in must be boolean').toBoolean()
+];
+
+const toUserFilters = (source) => ({
+  search: source.search,
+  role: source.role,
+  isActive: source.is_active,
+  membershipStatuses: parseStatusList(source.membership_status),
+  createdFrom: source.created_from,
+  createdTo: source.created_to,
+  lastLoginFrom: source.last_login_from,
+  lastLoginTo: source.last_login_to,
+  neverLoggedIn: source.never_logged_in
+});
+
+// Validation for the users a bulk action applies to: explicit user_ids, or a filter
+const bulkTargetRules = () => [
+  body('user_ids').optional().isArray({ min: 1, max: MAX_BULK_USERS })
+    .withMessage(`user_ids must be a list of 1 to ${MAX_BULK_USERS} IDs`),
+  body('user_ids.*').isString().withMessage('user_ids must be strings'),
+  body('filter').optional().isObject().withMessage('filter must be an object'),
+  ...userFilterRules(name => body(`filter.${name}`)),
+  body().custom(({ user_ids, filter }) => {
+    if (Boolean(user_ids) === Boolean(filter)) {
+      throw new Error('Provide either user_ids or filter');
+    }
+    if (filter && Object.values(filter).every(value => value === undefined || value === '')) {
+      throw new Error('filter needs at least one condition');
+    }
+    return true;
+  })
+];
+
+// Resolve a bulk action's users; returns { userIds } or { error } when a filter matches too many
+const resolveBulkTargets = async ({ user_ids, filter }) => {
+  if (user_ids) {
+    return { userIds: [...new Set(user_ids)] };
+  }
+
+  const userIds = await User.findIdsMatching(toUserFilters(filter), MAX_BULK_USERS + 1);
+  if (userIds.length > MAX_BULK_USERS) {
+    return { error: `The filter matches more than ${MAX_BULK_USERS} users; narrow it down` };
+  }
+  return { userIds };
+};
+
+// Totals per status for a bulk action's report
+const summarizeBulkResults = (results) => {
+  const summary = { requested: results.length, updated: 0, scheduled: 0, unchanged: 0, skipped: 0, not_found: 0 };
+  results.forEach(result => {
+    summary[result.status]++;
+  });
+  return summary;
+};
+
+// Email the applicant about a review decision; the decision stands even if sending fails
+const notifyApplicant = async (review, user, send) => {
+  try {
+    await send(user, review.reason);
+    await MembershipReview.markNotified(review.id);
+    return true;
+  } catch (error) {
+    console.error('Applicant notification error:', error);
+    return false;
+  }
+};
+
 /**
  * @swagger
  * /admin/users/{userId}/role:
  *   put:
- *     summary: Update user role (Admin only)
+ *     summary: Update user role, optionally for a dated term (requires assign_roles)
+ *     description: Without dates the change is immediate and open-ended. A future effective_from schedules the change; when effective_to passes, the user reverts to Member. Promotions to Admin are only requested here and take effect once a second Admin confirms them (see /admin/promotions).
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -33,20 +203,34 @@ const router = express.Router();
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [Admin, Member, President, Secretary]
+ *                 description: Name of an existing role (see GET /admin/roles)
+ *               effective_from:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the term (default today)
+ *               effective_to:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the term (default open-ended)
  *     responses:
  *       200:
- *         description: User role updated successfully
+ *         description: User role updated or change scheduled
+ *       202:
+ *         description: Promotion to Admin requested; waiting for a second Admin
  *       400:
- *         description: Invalid role
+ *         description: Invalid role or term dates
  *       403:
  *         description: Access denied
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The user is the last active Admin (code LAST_ADMIN)
  */
-// PUT /api/admin/users/:userId/role - Update user role (Admin only)
-router.put('/admin/users/:userId/role', authenticateToken, checkRoleAccess(['Admin']), [
-  body('role').isIn(['Admin', 'Member', 'President', 'Secretary']).withMessage('Invalid role')
+// PUT /api/admin/users/:userId/role - Update user role (assign_roles)
+router.put('/admin/users/:userId/role', authenticateToken, hasPermission('assign_roles'), [
+  body('role').isString().notEmpty().withMessage('Role is required'),
+  body('effective_from').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('effective_from must be a date (YYYY-MM-DD)'),
+  body('effective_to').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('effective_to must be a date (YYYY-MM-DD)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -55,7 +239,14 @@ router.put('/admin/users/:userId/role', authenticateToken, checkRoleAccess(['Adm
     }
 
     const { userId } = req.params;
-    const { role } = req.body;
+    const { role, effective_from, effective_to } = req.body;
+    const today = new Date().toISOString().slice(0, 10);
+    const from = effective_from ? effective_from.slice(0, 10) : null;
+    const to = effective_to ? effective_to.slice(0, 10) : null;
+
+    if (to && to < (from || today)) {
+      return res.status(400).json({ error: 'effective_to must not be before effective_from or today' });
+    }
 
     // Prevent self-demotion of admin
     if (req.user.id === userId && role !== 'Admin') {
@@ -64,18 +255,69 @@ router.put('/admin/users/:userId/role', authenticateToken, checkRoleAccess(['Adm
       });
     }
 
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
     // Check if user exists using models
     const existingUser = await User.findById(userId);
     if (!existingUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Update role using models
-    const user = await User.updateRole(userId, role);
+    // Promotions to Admin need a second Admin's confirmation
+    if (role === 'Admin' && existingUser.role !== 'Admin') {
+      const promotion = await AdminPromotion.create({
+        userId,
+        requestedBy: req.user.id,
+        effectiveFrom: from,
+        effectiveTo: to
+      });
+
+      await recordAudit(req, {
+        action: 'user.admin_promotion_requested',
+        targetType: 'user',
+        targetId: userId,
+        before: { role: existingUser.role },
+        after: { role, effective_from: from, effective_to: to, promotion_id: promotion.id }
+      });
+
+      return res.status(202).json({
+        message: 'Promotion to Admin requested; another Admin must confirm it',
+        promotion
+      });
+    }
+
+    const assignment = await User.assignRole({
+      userId,
+      role,
+      effectiveFrom: from,
+      effectiveTo: to,
+      assignedBy: req.user.id
+    });
+
+    // Someone must always be able to administer the community
+    if (!assignment) {
+      return res.status(409).json({
+        error: 'This is the last active Admin; promote another Admin first',
+        code: 'LAST_ADMIN'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: userId,
+      before: { role: existingUser.role },
+      after: { role, effective_from: from, effective_to: to, scheduled: !assignment.applied_at }
+    });
 
     res.json({ 
-      message: 'User role updated successfully',
-      user
+      message: assignment.applied_at ? 'User role updated successfully' : 'Role change scheduled',
+      user,
+      assignment
     });
   } catch (error) {
     console.error('Update role error:', error);
@@ -85,65 +327,55 @@ router.put('/admin/users/:userId/role', authenticateToken, checkRoleAccess(['Adm
 
 /**
  * @swagger
- * /admin/users:
+ * /admin/promotions:
  *   get:
- *     summary: List all users (Admin only)
+ *     summary: Promotions to Admin waiting for a second Admin (requires assign_roles)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all users
- *       403:
- *         description: Access denied
+ *         description: Pending requests, oldest first
  */
-// GET /api/admin/users - List all users (Admin only)
-router.get('/admin/users', authenticateToken, checkRoleAccess(['Admin']), async (req, res) => {
+// GET /api/admin/promotions - Pending promotions to Admin (assign_roles)
+router.get('/admin/promotions', authenticateToken, hasPermission('assign_roles'), async (req, res) => {
   try {
-    const users = await User.findAll();
-    res.json({ users });
+    const promotions = await AdminPromotion.findPending();
+    res.json({ promotions });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ error: 'Failed to get users' });
+    console.error('Get promotions error:', error);
+    res.status(500).json({ error: 'Failed to get promotions' });
   }
 });
 
 /**
  * @swagger
- * /admin/users/{userId}/activate:
- *   put:
- *     summary: Activate or deactivate user (Admin only)
+ * /admin/promotions/{id}/confirm:
+ *   post:
+ *     summary: Confirm a promotion to Admin requested by another Admin (requires assign_roles and the Admin role)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - is_active
- *             properties:
- *               is_active:
- *                 type: boolean
+ *           format: uuid
  *     responses:
  *       200:
- *         description: User activation status updated
+ *         description: User promoted (or promotion scheduled)
  *       403:
- *         description: Access denied
+ *         description: Not an Admin, or you requested this promotion yourself
  *       404:
- *         description: User not found
+ *         description: Request not found
+ *       409:
+ *         description: Request already confirmed, cancelled or expired
  */
-// PUT /api/admin/users/:userId/activate - Activate/deactivate user (Admin only)
-router.put('/admin/users/:userId/activate', authenticateToken, checkRoleAccess(['Admin']), [
-  body('is_active').isBoolean().withMessage('is_active must be boolean')
+// POST /api/admin/promotions/:id/confirm - Confirm a promotion to Admin (assign_roles, second Admin)
+router.post('/admin/promotions/:id/confirm', authenticateToken, hasPermission('assign_roles'), [
+  param('id').isUUID().withMessage('Invalid promotion ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -151,33 +383,54 @@ router.put('/admin/users/:userId/activate', authenticateToken, checkRoleAccess([
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { userId } = req.params;
-    const { is_active } = req.body;
+    const promotion = await AdminPromotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion request not found' });
+    }
 
-    // Check if user exists
-    const existingUser = await User.findById(userId);
-    if (!existingUser) {
-      return res.status(404).json({ error: 'User not found' });
+    if (req.user.role !== 'Admin') {
+      return res.status(403).json({ error: 'Only an Admin can confirm a promotion to Admin' });
     }
 
-    // Update activation status
-    const user = await User.updateActiveStatus(userId, is_active);
+    if (promotion.requested_by === req.user.id) {
+      return res.status(403).json({ error: 'A different Admin must confirm a promotion you requested' });
+    }
 
-    res.json({ 
-      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
-      user
+    const assignment = await AdminPromotion.confirm(promotion.id, req.user.id);
+    if (!assignment) {
+      return res.status(409).json({ error: 'This request has already been confirmed, cancelled or has expired' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: promotion.user_id,
+      after: {
+        role: 'Admin',
+        effective_from: promotion.effective_from,
+        effective_to: promotion.effective_to,
+        scheduled: !assignment.applied_at,
+        requested_by: promotion.requested_by,
+        promotion_id: promotion.id
+      }
+    });
+
+    res.json({
+      message: assignment.applied_at ? `${promotion.username} is now an Admin` : 'Promotion to Admin scheduled',
+      user: await User.findById(promotion.user_id),
+      assignment
     });
   } catch (error) {
-    console.error('Update activation error:', error);
-    res.status(500).json({ error: 'Failed to update user activation status' });
+    console.error('Confirm promotion error:', error);
+    res.status(500).json({ error: 'Failed to confirm promotion' });
   }
 });
 
 /**
  * @swagger
- * /admin/blogs/{id}/approve:
- *   put:
- *     summary: Approve blog post (Admin only)
+ * /admin/promotions/{id}:
+ *   delete:
+ *     summary: Withdraw a pending promotion to Admin (requires assign_roles)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -187,75 +440,242 @@ router.put('/admin/users/:userId/activate', authenticateToken, checkRoleAccess([
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Blog post approved
+ *         description: Request withdrawn
  *       404:
- *         description: Blog post not found
+ *         description: Request not found or no longer pending
  */
-// PUT /api/admin/blogs/:id/approve - Approve blog post (Admin only)
-router.put('/admin/blogs/:id/approve', authenticateToken, checkRoleAccess(['Admin']), async (req, res) => {
+// DELETE /api/admin/promotions/:id - Withdraw a promotion request (assign_roles)
+router.delete('/admin/promotions/:id', authenticateToken, hasPermission('assign_roles'), [
+  param('id').isUUID().withMessage('Invalid promotion ID')
+], async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Check if blog exists using models
-    if (!(await Blog.exists(id))) {
-      return res.status(404).json({ error: 'Blog post not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Approve blog using models
-    const blog = await Blog.approve(id);
+    if (!(await AdminPromotion.cancel(req.params.id))) {
+      return res.status(404).json({ error: 'Promotion request not found or no longer pending' });
+    }
 
-    res.json({ 
-      message: 'Blog post approved',
-      blog
+    await recordAudit(req, {
+      action: 'user.admin_promotion_cancelled',
+      targetType: 'admin_promotion',
+      targetId: req.params.id
     });
+
+    res.json({ message: 'Promotion request withdrawn' });
   } catch (error) {
-    console.error('Approve blog error:', error);
-    res.status(500).json({ error: 'Failed to approve blog post' });
+    console.error('Cancel promotion error:', error);
+    res.status(500).json({ error: 'Failed to withdraw promotion request' });
   }
 });
 
 /**
  * @swagger
- * /admin/roles:
+ * /admin/users/{userId}/role-history:
  *   get:
- *     summary: Get all role permissions (Admin only)
+ *     summary: Role terms held by a user, including scheduled ones (requires view_users)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of role permissions
- *       403:
- *         description: Access denied
+ *         description: Role history, newest first
+ *       404:
+ *         description: User not found
  */
-// GET /api/admin/roles - Get all role permissions (Admin only)
-router.get('/admin/roles', authenticateToken, checkRoleAccess(['Admin']), async (req, res) => {
+// GET /api/admin/users/:userId/role-history - Role history for a user (view_users)
+router.get('/admin/users/:userId/role-history', authenticateToken, hasPermission('view_users'), async (req, res) => {
   try {
-    const roles = await RolePermission.findAll();
-    res.json({ roles });
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const history = await RoleAssignment.findByUserId(user.id);
+    res.json({ role: user.role, history });
   } catch (error) {
-    console.error('Get roles error:', error);
-    res.status(500).json({ error: 'Failed to get role permissions' });
+    console.error('Get role history error:', error);
+    res.status(500).json({ error: 'Failed to get role history' });
   }
 });
 
 /**
  * @swagger
- * /admin/roles/{role}:
- *   put:
- *     summary: Update role permissions (Admin only)
+ * /admin/users:
+ *   get:
+ *     summary: Search and list user accounts (requires view_users)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches username, email, first name, last name or full name (case-insensitive)
+ *       - in: query
  *         name: role
- *         required: true
  *         schema:
  *           type: string
- *           enum: [Admin, Member, President, Secretary]
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: membership_status
+ *         schema:
+ *           type: string
+ *           example: lapsed,alumni
+ *         description: Comma-separated list of applicant, active, lapsed, alumni
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Signed up on or after
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Signed up on or before
+ *       - in: query
+ *         name: last_login_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: last_login_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: never_logged_in
+ *         schema:
+ *           type: boolean
+ *         description: Only accounts that have never signed in
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, username, email, role, name, last_login_at]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching users with pagination info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalUsers:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPreviousPage:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/users - Search and list users (view_users)
+router.get('/admin/users', authenticateToken, hasPermission('view_users'), [
+  ...userFilterRules(query),
+  query('sort').optional().isIn(['created_at', 'username', 'email', 'role', 'name', 'last_login_at'])
+    .withMessage('sort must be one of created_at, username, email, role, name, last_login_at'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filters = toUserFilters(req.query);
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const [users, totalUsers] = await Promise.all([
+      User.search(filters, { sort: req.query.sort, order: req.query.order, page, limit }),
+      User.countSearch(filters)
+    ]);
+
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        limit,
+        totalUsers,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/import:
+ *   post:
+ *     summary: Import members from a CSV (requires import_members)
+ *     description: |
+ *       Columns (header row required, any order): email, username, firstname, lastname, middlename, date_of_birth,
+ *       gender, role, street_number, street_address, post_code, county. Each row is checked with the quick-signup
+ *       rules, plus the role (Member by default; other roles need assign_roles, Admin is refused) and duplicate
+ *       emails and usernames. Nothing is created unless every row is valid; then all accounts are created
+ *       activated, with their profiles and addresses, in one transaction. Use dry_run to only get the report.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -263,24 +683,150 @@ router.get('/admin/roles', authenticateToken, checkRoleAccess(['Admin']), async
  *           schema:
  *             type: object
  *             required:
- *               - permissions
+ *               - csv
  *             properties:
- *               permissions:
+ *               csv:
+ *                 type: string
+ *                 example: "email,username,firstname,lastname,role\nada@example.com,ada,Ada,Lovelace,Member\n"
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               send_invitations:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Email each new member a link to choose their password
+ *     responses:
+ *       200:
+ *         description: Dry run report; every row is valid
+ *       201:
+ *         description: Members created
+ *       400:
+ *         description: Unusable CSV, or per-row errors in rows (nothing was created)
+ *       403:
+ *         description: Access denied
+ */
+// POST /api/admin/users/import - Import members from a CSV (import_members)
+router.post('/admin/users/import', authenticateToken, hasPermission('import_members'), [
+  body('csv').isString().notEmpty().withMessage('csv is required'),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be boolean').toBoolean(),
+  body('send_invitations').optional().isBoolean().withMessage('send_invitations must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { csv, dry_run = false, send_invitations = false } = req.body;
+
+    const { records, error } = parseMemberCsv(csv);
+    if (error) {
+      return res.status(400).json({ error, columns: IMPORT_COLUMNS });
+    }
+
+    const { results, members } = await validateMembers(records, { canAssignRoles: userCan(req, 'assign_roles') });
+    const invalidRows = results.filter(result => result.errors.length > 0).length;
+
+    if (invalidRows > 0) {
+      return res.status(400).json({
+        error: `${invalidRows} of ${results.length} rows have errors; nothing was imported`,
+        dry_run,
+        valid: false,
+        rows: results
+      });
+    }
+
+    if (dry_run) {
+      return res.json({
+        message: `All ${results.length} rows are valid`,
+        dry_run: true,
+        valid: true,
+        rows: results
+      });
+    }
+
+    const users = await User.importMembers(members, req.user.id);
+
+    await recordAudit(req, {
+      action: 'user.imported',
+      targetType: 'user',
+      after: {
+        count: users.length,
+        users: users.map(user => pickFields(user, ['id', 'username', 'role'])),
+        send_invitations
+      }
+    });
+
+    let invitationsSent = 0;
+    if (send_invitations) {
+      for (const user of users) {
+        try {
+          const { token, expires_at } = await PasswordReset.create(user.id, IMPORT_LINK_TTL_MINUTES);
+          await sendImportedMemberEmail(user, token, expires_at, req.user);
+          invitationsSent++;
+        } catch (emailError) {
+          console.error('Import invitation email error:', emailError);
+        }
+      }
+    }
+
+    res.status(201).json({
+      message: `${users.length} members imported`,
+      users,
+      invitations_sent: invitationsSent
+    });
+  } catch (error) {
+    console.error('Import members error:', error);
+    res.status(500).json({ error: 'Failed to import members' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/bulk/activate:
+ *   post:
+ *     summary: Activate or deactivate several users at once (requires manage_users)
+ *     description: |
+ *       Applies to the given user_ids, or to every user matching filter (same fields as GET /api/admin/users),
+ *       at most 500. Runs in one transaction and is recorded as one audit entry. Users that can't be changed
+ *       (your own account, the last active Admin) are skipped and reported.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_active
+ *             properties:
+ *               user_ids:
  *                 type: array
  *                 items:
  *                   type: string
+ *               filter:
+ *                 type: object
+ *                 example: { is_active: false, created_from: '2026-09-01' }
+ *               is_active:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Role permissions updated successfully
+ *         description: Per-user report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkUserResult'
  *       400:
- *         description: Invalid permissions
- *       404:
- *         description: Role not found
+ *         description: Invalid request, or the filter matches too many users
+ *       403:
+ *         description: Access denied
  */
-// PUT /api/admin/roles/:role - Update role permissions (Admin only)
-router.put('/admin/roles/:role', authenticateToken, checkRoleAccess(['Admin']), [
-  body('permissions').isArray().withMessage('Permissions must be an array'),
-  body('permissions.*').isString().withMessage('Each permission must be a string')
+// POST /api/admin/users/bulk/activate - Activate/deactivate several users (manage_users)
+router.post('/admin/users/bulk/activate', authenticateToken, hasPermission('manage_users'), [
+  ...bulkTargetRules(),
+  body('is_active').isBoolean().withMessage('is_active must be boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -288,29 +834,2312 @@ router.put('/admin/roles/:role', authenticateToken, checkRoleAccess(['Admin']),
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { role } = req.params;
-    const { permissions } = req.body;
-
-    // Validate role
-    const validRoles = ['Admin', 'Member', 'President', 'Secretary'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ error: 'Invalid role' });
+    const { userIds, error } = await resolveBulkTargets(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Update permissions using models
-    const updatedRole = await RolePermission.update(role, permissions);
+    const { is_active } = req.body;
+    const results = await User.bulkSetActive(userIds, is_active, req.user.id);
+    const changed = results.filter(result => result.status === 'updated');
 
-    if (!updatedRole) {
-      return res.status(404).json({ error: 'Role not found' });
+    if (changed.length > 0) {
+      await recordAudit(req, {
+        action: is_active ? 'user.bulk_activated' : 'user.bulk_deactivated',
+        targetType: 'user',
+        before: { users: changed.map(result => ({ id: result.user_id, ...result.before })) },
+        after: { is_active, user_ids: changed.map(result => result.user_id), filter: req.body.filter || null }
+      });
     }
 
-    res.json({ 
-      message: 'Role permissions updated successfully',
-      role: updatedRole
+    res.json({
+      summary: summarizeBulkResults(results),
+      results
     });
   } catch (error) {
-    console.error('Update role permissions error:', error);
-    res.status(500).json({ error: 'Failed to update role permissions' });
+    console.error('Bulk activation error:', error);
+    res.status(500).json({ error: 'Failed to update user activation status' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/bulk/role:
+ *   post:
+ *     summary: Give several users a role at once (requires assign_roles)
+ *     description: |
+ *       Applies to the given user_ids, or to every user matching filter (same fields as GET /api/admin/users),
+ *       at most 500, optionally for a term as with PUT /api/admin/users/{userId}/role. Runs in one transaction
+ *       and is recorded as one audit entry. Demoting yourself or the last active Admin is skipped and reported.
+ *       Promotions to Admin need a second Admin's confirmation and must be requested one user at a time.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filter:
+ *                 type: object
+ *               role:
+ *                 type: string
+ *               effective_from:
+ *                 type: string
+ *                 format: date
+ *               effective_to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Per-user report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkUserResult'
+ *       400:
+ *         description: Invalid request or role, Admin requested, or the filter matches too many users
+ *       403:
+ *         description: Access denied
+ */
+// POST /api/admin/users/bulk/role - Give several users a role (assign_roles)
+router.post('/admin/users/bulk/role', authenticateToken, hasPermission('assign_roles'), [
+  ...bulkTargetRules(),
+  body('role').isString().notEmpty().withMessage('Role is required'),
+  body('effective_from').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('effective_from must be a date (YYYY-MM-DD)'),
+  body('effective_to').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('effective_to must be a date (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, effective_from, effective_to } = req.body;
+    const today = new Date().toISOString().slice(0, 10);
+    const from = effective_from ? effective_from.slice(0, 10) : null;
+    const to = effective_to ? effective_to.slice(0, 10) : null;
+
+    if (to && to < (from || today)) {
+      return res.status(400).json({ error: 'effective_to must not be before effective_from or today' });
+    }
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    if (role === 'Admin') {
+      return res.status(400).json({
+        error: 'Promotions to Admin must be requested one user at a time via PUT /api/admin/users/{userId}/role'
+      });
+    }
+
+    const { userIds, error } = await resolveBulkTargets(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const results = await User.bulkAssignRole({
+      userIds,
+      role,
+      effectiveFrom: from,
+      effectiveTo: to,
+      assignedBy: req.user.id
+    });
+    const changed = results.filter(result => result.status === 'updated' || result.status === 'scheduled');
+
+    if (changed.length > 0) {
+      await recordAudit(req, {
+        action: 'user.bulk_role_changed',
+        targetType: 'user',
+        before: { users: changed.map(result => ({ id: result.user_id, ...result.before })) },
+        after: {
+          role,
+          effective_from: from,
+          effective_to: to,
+          user_ids: changed.map(result => result.user_id),
+          filter: req.body.filter || null
+        }
+      });
+    }
+
+    res.json({
+      summary: summarizeBulkResults(results),
+      results
+    });
+  } catch (error) {
+    console.error('Bulk role change error:', error);
+    res.status(500).json({ error: 'Failed to update user roles' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/pending:
+ *   get:
+ *     summary: Review queue of accounts waiting for activation (requires view_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_rejected
+ *         schema:
+ *           type: boolean
+ *         description: Also list applicants that were rejected
+ *     responses:
+ *       200:
+ *         description: Inactive users with profile details and signup date, oldest first
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/users/pending - List accounts waiting for activation (view_users)
+router.get('/admin/users/pending', authenticateToken, hasPermission('view_users'), [
+  query('include_rejected').optional().isBoolean().withMessage('include_rejected must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const users = await MembershipReview.findPending({
+      includeRejected: req.query.include_rejected === 'true'
+    });
+
+    res.json({ users, total: users.length });
+  } catch (error) {
+    console.error('Get pending users error:', error);
+    res.status(500).json({ error: 'Failed to get pending users' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/approve:
+ *   post:
+ *     summary: Approve a pending account (requires manage_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               notify:
+ *                 type: boolean
+ *                 description: Email the applicant about the decision
+ *     responses:
+ *       200:
+ *         description: Account activated and approval recorded
+ *       400:
+ *         description: Account is already active
+ *       404:
+ *         description: User not found
+ */
+// POST /api/admin/users/:userId/approve - Approve a pending account (manage_users)
+router.post('/admin/users/:userId/approve', authenticateToken, hasPermission('manage_users'), [
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('notify').optional().isBoolean().withMessage('notify must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { reason, notify } = req.body;
+
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (existingUser.is_active) {
+      return res.status(400).json({ error: 'Account is already active' });
+    }
+
+    const approved = await User.approve(userId, { reason, reviewedBy: req.user.id });
+    if (!approved) {
+      return res.status(400).json({ error: 'Account is already active' });
+    }
+    const { user, review } = approved;
+
+    await recordAudit(req, {
+      action: 'user.approved',
+      targetType: 'user',
+      targetId: userId,
+      before: { is_active: false },
+      after: { is_active: true, reason: reason || null }
+    });
+
+    const notified = notify ? await notifyApplicant(review, user, sendApplicationApprovedEmail) : false;
+
+    res.json({
+      message: 'Account approved',
+      user,
+      review: { ...review, notified }
+    });
+  } catch (error) {
+    console.error('Approve user error:', error);
+    res.status(500).json({ error: 'Failed to approve user' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/reject:
+ *   post:
+ *     summary: Reject a pending account (requires manage_users)
+ *     description: The account stays inactive and the reason is shown to the applicant when they try to sign in.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               notify:
+ *                 type: boolean
+ *                 description: Email the applicant about the decision
+ *     responses:
+ *       200:
+ *         description: Rejection recorded
+ *       400:
+ *         description: Missing reason or account is already active
+ *       404:
+ *         description: User not found
+ */
+// POST /api/admin/users/:userId/reject - Reject a pending account (manage_users)
+router.post('/admin/users/:userId/reject', authenticateToken, hasPermission('manage_users'), [
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('A reason (up to 1000 characters) is required'),
+  body('notify').optional().isBoolean().withMessage('notify must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { reason, notify } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.is_active) {
+      return res.status(400).json({ error: 'Account is already active; deactivate it instead' });
+    }
+
+    const review = await MembershipReview.create({
+      userId,
+      decision: 'rejected',
+      reason,
+      reviewedBy: req.user.id
+    });
+
+    // Make sure nothing issued before the decision keeps working
+    await Session.revokeAllForUser(userId);
+
+    await recordAudit(req, {
+      action: 'user.rejected',
+      targetType: 'user',
+      targetId: userId,
+      after: { reason }
+    });
+
+    const notified = notify ? await notifyApplicant(review, user, sendApplicationRejectedEmail) : false;
+
+    res.json({
+      message: 'Account rejected',
+      review: { ...review, notified }
+    });
+  } catch (error) {
+    console.error('Reject user error:', error);
+    res.status(500).json({ error: 'Failed to reject user' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/reviews:
+ *   get:
+ *     summary: Approval history of an account (requires view_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Decisions with reviewer, reason and date, newest first
+ *       404:
+ *         description: User not found
+ */
+// GET /api/admin/users/:userId/reviews - Approval history (view_users)
+router.get('/admin/users/:userId/reviews', authenticateToken, hasPermission('view_users'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const reviews = await MembershipReview.findByUserId(user.id);
+    res.json({ reviews });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}:
+ *   get:
+ *     summary: View a user account with its suspension and membership status history (requires view_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user, the suspension in force (or null) and all suspensions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 suspension:
+ *                   $ref: '#/components/schemas/Suspension'
+ *                 suspensions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Suspension'
+ *                 membership_history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MembershipStatusChange'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ */
+// GET /api/admin/users/:userId - View a user with suspension and membership history (view_users)
+router.get('/admin/users/:userId', authenticateToken, hasPermission('view_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [suspensions, membershipHistory] = await Promise.all([
+      Suspension.findByUserId(userId),
+      MembershipStatus.findHistory(userId)
+    ]);
+
+    res.json({
+      user,
+      suspension: suspensions.find(suspension => suspension.status === 'active') || null,
+      suspensions,
+      membership_history: membershipHistory
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a member, optionally until a date (requires manage_users)
+ *     description: |
+ *       Signs the member out everywhere and refuses their signins and tokens (code ACCOUNT_SUSPENDED) while the
+ *       suspension is in force. The reason and end date are shown to them when they try to sign in. Without
+ *       ends_at the suspension lasts until it is lifted; with it, access comes back by itself at that time.
+ *       Unlike deactivation, the account keeps its approved status.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Repeated no-shows after RSVPing
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               notify:
+ *                 type: boolean
+ *                 description: Email the member about the suspension
+ *     responses:
+ *       201:
+ *         description: Member suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 suspension:
+ *                   $ref: '#/components/schemas/Suspension'
+ *       400:
+ *         description: Missing reason, end date in the past, or the account is yours or an Admin's
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already suspended
+ */
+// POST /api/admin/users/:userId/suspend - Suspend a member (manage_users)
+router.post('/admin/users/:userId/suspend', authenticateToken, hasPermission('manage_users'), [
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('A reason (up to 1000 characters) is required'),
+  body('ends_at').optional({ nullable: true }).isISO8601().withMessage('ends_at must be a date'),
+  body('notify').optional().isBoolean().withMessage('notify must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { reason, ends_at, notify } = req.body;
+
+    if (ends_at && new Date(ends_at) <= new Date()) {
+      return res.status(400).json({ error: 'ends_at must be in the future' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    if (user.role === 'Admin') {
+      return res.status(400).json({ error: 'Admins cannot be suspended; change their role first' });
+    }
+
+    if (await Suspension.findCurrent(userId)) {
+      return res.status(409).json({ error: 'User is already suspended; lift the current suspension first' });
+    }
+
+    const suspension = await Suspension.create({
+      userId,
+      reason,
+      endsAt: ends_at,
+      suspendedBy: req.user.id
+    });
+
+    // Make sure nothing issued before the suspension keeps working
+    await Session.revokeAllForUser(userId);
+
+    await recordAudit(req, {
+      action: 'user.suspended',
+      targetType: 'user',
+      targetId: userId,
+      after: pickFields(suspension, ['id', 'reason', 'ends_at'])
+    });
+
+    let notified = false;
+    if (notify) {
+      try {
+        await sendSuspensionEmail(user, suspension);
+        notified = true;
+      } catch (emailError) {
+        console.error('Suspension email error:', emailError);
+      }
+    }
+
+    res.status(201).json({
+      message: suspension.ends_at ? 'Member suspended until the given date' : 'Member suspended until lifted',
+      suspension,
+      notified
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspension:
+ *   delete:
+ *     summary: Lift a member's suspension early (requires manage_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       404:
+ *         description: User not found or not suspended
+ */
+// DELETE /api/admin/users/:userId/suspension - Lift a suspension (manage_users)
+router.delete('/admin/users/:userId/suspension', authenticateToken, hasPermission('manage_users'), [
+  body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const suspension = await Suspension.lift(userId, { liftedBy: req.user.id, reason: req.body.reason });
+    if (!suspension) {
+      return res.status(404).json({ error: 'User is not suspended' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.suspension_lifted',
+      targetType: 'user',
+      targetId: userId,
+      before: pickFields(suspension, ['id', 'reason', 'ends_at']),
+      after: { lifted_at: suspension.lifted_at, lift_reason: suspension.lift_reason }
+    });
+
+    res.json({
+      message: 'Suspension lifted',
+      suspension
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ error: 'Failed to lift suspension' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/membership-statuses:
+ *   get:
+ *     summary: Membership statuses, their allowed transitions and what each denies (requires view_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 statuses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       transitions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       denied:
+ *                         type: array
+ *                         description: Permissions withheld in this status, whatever the role grants
+ *                         items:
+ *                           type: string
+ */
+// GET /api/admin/membership-statuses - Membership status catalog (view_users)
+router.get('/admin/membership-statuses', authenticateToken, hasPermission('view_users'), (req, res) => {
+  res.json({ statuses: MEMBERSHIP_STATUSES });
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/membership-status:
+ *   put:
+ *     summary: Change a member's membership status (requires manage_users)
+ *     description: |
+ *       Allowed moves are active → lapsed or alumni, lapsed → active or alumni, and alumni → active or lapsed.
+ *       Applicants become active members when they are approved or activated. Each change is kept in the
+ *       member's history (see GET /api/admin/users/{userId}).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, lapsed, alumni]
+ *               reason:
+ *                 type: string
+ *                 example: Moved abroad
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 change:
+ *                   $ref: '#/components/schemas/MembershipStatusChange'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The move is not allowed from the member's current status (allowed lists the options)
+ */
+// PUT /api/admin/users/:userId/membership-status - Change membership status (manage_users)
+router.put('/admin/users/:userId/membership-status', authenticateToken, hasPermission('manage_users'), [
+  body('status').isIn(STATUS_NAMES).withMessage(`status must be one of ${STATUS_NAMES.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { status, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!canTransition(user.membership_status, status)) {
+      const current = MEMBERSHIP_STATUSES.find(entry => entry.name === user.membership_status);
+      return res.status(409).json({
+        error: `Cannot move a member from ${user.membership_status} to ${status}`,
+        message: user.membership_status === 'applicant' ? 'Approve or activate the applicant instead' : undefined,
+        allowed: current ? current.transitions : []
+      });
+    }
+
+    const change = await MembershipStatus.change({
+      userId,
+      status,
+      from: user.membership_status,
+      reason,
+      changedBy: req.user.id
+    });
+    if (!change) {
+      return res.status(409).json({ error: 'The membership status changed in the meantime; reload and try again' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.membership_status_changed',
+      targetType: 'user',
+      targetId: userId,
+      before: { membership_status: change.from_status },
+      after: { membership_status: change.to_status, reason: change.reason }
+    });
+
+    res.json({
+      message: `Membership status changed to ${status}`,
+      change
+    });
+  } catch (error) {
+    console.error('Change membership status error:', error);
+    res.status(500).json({ error: 'Failed to change membership status' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/activate:
+ *   put:
+ *     summary: Activate or deactivate user (requires manage_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_active
+ *             properties:
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User activation status updated
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Deactivating the last active Admin (code LAST_ADMIN)
+ */
+// PUT /api/admin/users/:userId/activate - Activate/deactivate user (manage_users)
+router.put('/admin/users/:userId/activate', authenticateToken, hasPermission('manage_users'), [
+  body('is_active').isBoolean().withMessage('is_active must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { is_active } = req.body;
+
+    // Check if user exists
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Activating a pending account counts as approving it
+    const approved = is_active && !existingUser.is_active
+      ? await User.approve(userId, { reviewedBy: req.user.id })
+      : null;
+
+    // Update activation status
+    const user = approved ? approved.user : await User.updateActiveStatus(userId, is_active, req.user.id);
+    if (!user) {
+      return res.status(409).json({
+        error: 'This is the last active Admin; promote another Admin first',
+        code: 'LAST_ADMIN'
+      });
+    }
+
+    await recordAudit(req, {
+      action: is_active ? 'user.activated' : 'user.deactivated',
+      targetType: 'user',
+      targetId: userId,
+      before: { is_active: existingUser.is_active },
+      after: { is_active: user.is_active }
+    });
+
+    res.json({ 
+      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
+      user
+    });
+  } catch (error) {
+    console.error('Update activation error:', error);
+    res.status(500).json({ error: 'Failed to update user activation status' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/2fa:
+ *   delete:
+ *     summary: Reset a member's two-factor authentication (requires manage_users)
+ *     description: Removes the member's authenticator secret and recovery codes and signs them out everywhere, e.g. after a lost phone.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found or 2FA not set up
+ */
+// DELETE /api/admin/users/:userId/2fa - Reset a member's 2FA (manage_users)
+router.delete('/admin/users/:userId/2fa', authenticateToken, hasPermission('manage_users'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await TwoFactor.remove(userId))) {
+      return res.status(404).json({ error: 'Two-factor authentication is not set up for this user' });
+    }
+
+    await Session.revokeAllForUser(userId);
+
+    await recordAudit(req, {
+      action: 'user.two_factor_reset',
+      targetType: 'user',
+      targetId: userId,
+      before: { two_factor: true },
+      after: { two_factor: false }
+    });
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: View the app as another member (requires impersonate_members and a signed-in session)
+ *     description: |
+ *       Issues a short-lived, view-only token that acts as the member, e.g. to see what they see when they
+ *       report a problem. Requests made with it can only read; writes and the data export are refused with
+ *       code IMPERSONATION_READ_ONLY. The token stops working when it expires, when it is stopped via
+ *       POST /api/impersonation/stop, when the impersonator's own session ends, or when the impersonator
+ *       is deactivated or their role loses impersonate_members. Start and stop are audited.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Member reports their RSVP is missing
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: impersonation
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 impersonation_id:
+ *                   type: string
+ *                   format: uuid
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Cannot impersonate yourself, another Admin or an inactive account
+ *       403:
+ *         description: Missing impersonate_members, or not signed in with a session
+ *       404:
+ *         description: User not found
+ */
+// POST /api/admin/users/:userId/impersonate - Start viewing the app as a member (impersonate_members)
+router.post('/admin/users/:userId/impersonate', authenticateToken, hasPermission('impersonate_members'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Tied to a signed-in session, so neither access tokens nor another impersonation can start one
+    if (!req.sessionId) {
+      return res.status(403).json({ error: 'Impersonation can only be started from a signed-in session' });
+    }
+
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    if (user.role === 'Admin') {
+      return res.status(400).json({ error: 'Admins cannot be impersonated' });
+    }
+
+    if (!user.is_active) {
+      return res.status(400).json({ error: 'Inactive accounts cannot be impersonated' });
+    }
+
+    const impersonation = await Impersonation.start({
+      adminId: req.user.id,
+      userId,
+      sessionId: req.sessionId,
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
+
+    await recordAudit(req, {
+      action: 'impersonation.started',
+      targetType: 'user',
+      targetId: userId,
+      after: {
+        impersonation_id: impersonation.id,
+        reason: impersonation.reason,
+        expires_at: impersonation.expires_at
+      }
+    });
+
+    res.status(201).json({
+      message: `Impersonating ${user.username} (view only)`,
+      token: generateImpersonationToken(impersonation),
+      token_type: 'impersonation',
+      expires_at: impersonation.expires_at,
+      impersonation_id: impersonation.id,
+      user
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+/**
+ * @swagger
+ * /impersonation/stop:
+ *   post:
+ *     summary: Stop impersonating a member
+ *     description: Call with the impersonation token. The token stops working immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation stopped
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         description: Unauthorized, or the impersonation has already ended
+ */
+// POST /api/impersonation/stop - Stop impersonating (impersonation token)
+// No permission: the request runs as the impersonated member, and ending an impersonation must always work
+router.post('/impersonation/stop', authenticateToken, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({ error: 'You are not impersonating anyone' });
+    }
+
+    const stopped = await Impersonation.stop(req.impersonation.id);
+
+    if (stopped) {
+      await recordAudit(req, {
+        action: 'impersonation.stopped',
+        targetType: 'user',
+        targetId: req.user.id,
+        before: { impersonation_id: stopped.id, started_at: stopped.started_at },
+        after: { ended_at: stopped.ended_at }
+      });
+    }
+
+    res.json({ message: 'Impersonation stopped' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ error: 'Failed to stop impersonation' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/lockouts:
+ *   get:
+ *     summary: List signin lockouts (requires manage_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Include accounts and IPs with failed attempts that are not locked
+ *     responses:
+ *       200:
+ *         description: Lockouts and failed-attempt counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lockouts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       key_type:
+ *                         type: string
+ *                         enum: [account, ip]
+ *                       key_value:
+ *                         type: string
+ *                       failed_count:
+ *                         type: integer
+ *                       lockout_count:
+ *                         type: integer
+ *                       last_failed_at:
+ *                         type: string
+ *                         format: date-time
+ *                       locked_until:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/lockouts - List signin lockouts (manage_users)
+router.get('/admin/lockouts', authenticateToken, hasPermission('manage_users'), async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.findAll(req.query.all === 'true');
+    res.json({ lockouts });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Failed to get lockouts' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/lockouts/{id}:
+ *   delete:
+ *     summary: Clear a signin lockout (requires manage_users)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       404:
+ *         description: Lockout not found
+ */
+// DELETE /api/admin/lockouts/:id - Clear a lockout (manage_users)
+router.delete('/admin/lockouts/:id', authenticateToken, hasPermission('manage_users'), [
+  param('id').isUUID().withMessage('Invalid lockout ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lockout = await LoginAttempt.clearById(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'lockout.cleared',
+      targetType: 'lockout',
+      targetId: lockout.id,
+      before: lockout
+    });
+
+    res.json({ message: 'Lockout cleared', lockout });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: 'Failed to clear lockout' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/blogs/pending:
+ *   get:
+ *     summary: Review queue of submitted blog posts (requires approve_blogs)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Submitted posts, longest waiting first, with how many times changes were already requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blogs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Blog'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalBlogs:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPreviousPage:
+ *                       type: boolean
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/blogs/pending - Blog posts waiting for review (approve_blogs)
+router.get('/admin/blogs/pending', authenticateToken, hasPermission('approve_blogs'), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const [blogs, totalBlogs] = await Promise.all([
+      Blog.findPending(page, limit),
+      Blog.countPending()
+    ]);
+
+    const totalPages = Math.ceil(totalBlogs / limit);
+
+    res.json({
+      blogs,
+      pagination: {
+        currentPage: page,
+        limit,
+        totalBlogs,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get pending blogs error:', error);
+    res.status(500).json({ error: 'Failed to get pending blog posts' });
+  }
+});
+
+// Reviewer decision on a blog post: checks the transition, records it with the comment,
+// and emails the author. The decision stands even if the email fails.
+const moderateBlog = (status, { commentRequired, action, message, errorLabel }) => [
+  authenticateToken,
+  hasPermission('approve_blogs'),
+  commentRequired
+    ? body('comment').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('A comment for the author (up to 2000 characters) is required')
+    : body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+
+      // Check if blog exists using models
+      const existingBlog = await Blog.findById(id);
+      if (!existingBlog) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+
+      if (!canTransitionBlog(existingBlog.status, status)) {
+        return res.status(409).json({
+          error: `Cannot move a post from ${existingBlog.status} to ${status}`,
+          allowed: allowedBlogTransitions(existingBlog.status, { reviewer: true })
+        });
+      }
+
+      const result = await Blog.changeStatus({
+        id,
+        status,
+        from: existingBlog.status,
+        comment: req.body.comment || null,
+        changedBy: req.user.id
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'The post changed in the meantime; reload and try again' });
+      }
+      const { blog, review } = result;
+
+      await recordAudit(req, {
+        action,
+        targetType: 'blog',
+        targetId: id,
+        before: { status: review.from_status, is_available: existingBlog.is_available },
+        after: { status: review.to_status, is_available: blog.is_available, comment: review.comment }
+      });
+
+      let notified = false;
+      const author = blog.author_id ? await User.findById(blog.author_id) : null;
+      if (author && author.id !== req.user.id) {
+        try {
+          await sendBlogReviewEmail(author, blog, review);
+          notified = true;
+        } catch (emailError) {
+          console.error('Blog review email error:', emailError);
+        }
+      }
+
+      res.json({
+        message,
+        blog,
+        review: { ...review, notified }
+      });
+    } catch (error) {
+      console.error(`${errorLabel} error:`, error);
+      res.status(500).json({ error: `Failed to ${errorLabel.toLowerCase()}` });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /admin/blogs/{id}/approve:
+ *   put:
+ *     summary: Approve and publish a submitted or unpublished blog post (requires approve_blogs)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: Optional note for the author, included in the notification email
+ *     responses:
+ *       200:
+ *         description: Blog post approved; the author is notified
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post cannot be approved from its current status
+ */
+// PUT /api/admin/blogs/:id/approve - Approve blog post (approve_blogs)
+router.put('/admin/blogs/:id/approve', moderateBlog('approved', {
+  commentRequired: false,
+  action: 'blog.approved',
+  message: 'Blog post approved',
+  errorLabel: 'Approve blog post'
+}));
+
+/**
+ * @swagger
+ * /admin/blogs/{id}/request-changes:
+ *   post:
+ *     summary: Send a submitted blog post back to its author for changes (requires approve_blogs)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: What the author should know, included in the notification email
+ *     responses:
+ *       200:
+ *         description: Changes requested; the author is notified with the comment
+ *       400:
+ *         description: Comment missing
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post is not waiting for review
+ */
+// POST /api/admin/blogs/:id/request-changes - Ask the author to revise a post (approve_blogs)
+router.post('/admin/blogs/:id/request-changes', moderateBlog('changes_requested', {
+  commentRequired: true,
+  action: 'blog.changes_requested',
+  message: 'Changes requested from the author',
+  errorLabel: 'Request blog changes'
+}));
+
+/**
+ * @swagger
+ * /admin/blogs/{id}/reject:
+ *   post:
+ *     summary: Reject a submitted blog post for good (requires approve_blogs)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: What the author should know, included in the notification email
+ *     responses:
+ *       200:
+ *         description: Blog post rejected; the author is notified with the comment
+ *       400:
+ *         description: Comment missing
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post is not waiting for review
+ */
+// POST /api/admin/blogs/:id/reject - Reject blog post (approve_blogs)
+router.post('/admin/blogs/:id/reject', moderateBlog('rejected', {
+  commentRequired: true,
+  action: 'blog.rejected',
+  message: 'Blog post rejected',
+  errorLabel: 'Reject blog post'
+}));
+
+/**
+ * @swagger
+ * /admin/blogs/{id}/unpublish:
+ *   post:
+ *     summary: Take a published blog post down (requires approve_blogs)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: What the author should know, included in the notification email
+ *     responses:
+ *       200:
+ *         description: Blog post unpublished; the author is notified with the comment
+ *       400:
+ *         description: Comment missing
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post is not published
+ */
+// POST /api/admin/blogs/:id/unpublish - Unpublish blog post (approve_blogs)
+router.post('/admin/blogs/:id/unpublish', moderateBlog('unpublished', {
+  commentRequired: true,
+  action: 'blog.unpublished',
+  message: 'Blog post unpublished',
+  errorLabel: 'Unpublish blog post'
+}));
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: Catalog of every permission a role can be granted (requires manage_roles)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions with area, description and the routes that check them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       area:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       routes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 wildcard:
+ *                   type: string
+ *                   description: Grants every permission above
+ */
+// GET /api/admin/permissions - Permission catalog (manage_roles)
+router.get('/admin/permissions', authenticateToken, hasPermission('manage_roles'), (req, res) => {
+  res.json({ permissions: PERMISSIONS, wildcard: WILDCARD });
+});
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: Get all roles with their permissions (requires manage_roles)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with description, permissions, 2FA requirement, built-in flag and user count
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/roles - Get all roles (manage_roles)
+router.get('/admin/roles', authenticateToken, hasPermission('manage_roles'), async (req, res) => {
+  try {
+    const roles = await Role.findAll();
+    res.json({ roles: roles.map(describeRole) });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to get role permissions' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   post:
+ *     summary: Create a custom role (requires manage_roles)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Treasurer
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               require_two_factor:
+ *                 type: boolean
+ *               is_office:
+ *                 type: boolean
+ *                 description: List holders of this role on the public officers page
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error or unknown permissions (listed in unknown_permissions)
+ *       409:
+ *         description: A role with this name already exists
+ */
+// POST /api/admin/roles - Create a custom role (manage_roles)
+router.post('/admin/roles', authenticateToken, hasPermission('manage_roles'), [
+  roleNameValidator(body('name')),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isString().withMessage('Each permission must be a string'),
+  body('require_two_factor').optional().isBoolean().withMessage('require_two_factor must be boolean'),
+  body('is_office').optional().isBoolean().withMessage('is_office must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, permissions, require_two_factor, is_office } = req.body;
+
+    if (rejectUnknownPermissions(res, permissions)) {
+      return;
+    }
+
+    if (await Role.nameTaken(name)) {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      requireTwoFactor: require_two_factor === true,
+      isOffice: is_office === true
+    });
+
+    await recordAudit(req, {
+      action: 'role.created',
+      targetType: 'role',
+      targetId: role.name,
+      after: auditedRole(role)
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: describeRole(role)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/roles/{role}:
+ *   put:
+ *     summary: Rename a role or update its description, office flag and permissions (requires manage_roles)
+ *     description: Built-in roles (Admin, President, Secretary, Member) cannot be renamed. Renaming moves every user and invitation to the new name.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               is_office:
+ *                 type: boolean
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Unknown permissions (listed in unknown_permissions) or built-in role rename
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: A role with the new name already exists
+ */
+// PUT /api/admin/roles/:role - Update a role (manage_roles)
+router.put('/admin/roles/:role', authenticateToken, hasPermission('manage_roles'), [
+  roleNameValidator(body('name').optional()),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('is_office').optional().isBoolean().withMessage('is_office must be boolean').toBoolean(),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isString().withMessage('Each permission must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.params;
+    const { name, description, is_office, permissions } = req.body;
+
+    if (name === undefined && description === undefined && is_office === undefined && permissions === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const existingRole = await Role.findByName(role);
+    if (!existingRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const renaming = name !== undefined && name !== role;
+    if (renaming) {
+      if (existingRole.is_builtin) {
+        return res.status(400).json({ error: `The built-in ${role} role cannot be renamed` });
+      }
+      if (await Role.nameTaken(name, role)) {
+        return res.status(409).json({ error: 'A role with this name already exists' });
+      }
+    }
+
+    if (permissions !== undefined) {
+      if (rejectUnknownPermissions(res, permissions)) {
+        return;
+      }
+
+      // Don't let an admin lock themselves out of role management
+      if (role === req.user.role && !permissions.includes('*') && !permissions.includes('manage_roles')) {
+        return res.status(400).json({ error: 'You cannot remove manage_roles from your own role' });
+      }
+    }
+
+    const updatedRole = await Role.update(role, {
+      newName: renaming ? name : null,
+      description,
+      isOffice: is_office,
+      permissions
+    });
+    if (!updatedRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'role.updated',
+      targetType: 'role',
+      targetId: updatedRole.name,
+      before: auditedRole(existingRole),
+      after: auditedRole(updatedRole)
+    });
+
+    res.json({ 
+      message: 'Role updated successfully',
+      role: describeRole(updatedRole)
+    });
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/roles/{role}:
+ *   delete:
+ *     summary: Retire a custom role (requires manage_roles)
+ *     description: Built-in roles cannot be deleted. Users and pending invitations with the role are moved to `reassign_to` (default Member), which cannot be Admin.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassign_to
+ *         schema:
+ *           type: string
+ *           default: Member
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Built-in role, or reassign_to is Admin, the same role or unknown
+ *       404:
+ *         description: Role not found
+ */
+// DELETE /api/admin/roles/:role - Retire a custom role (manage_roles)
+router.delete('/admin/roles/:role', authenticateToken, hasPermission('manage_roles'), [
+  query('reassign_to').optional().isString().notEmpty().withMessage('reassign_to must be a role name')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.params;
+    const reassignTo = req.query.reassign_to || 'Member';
+
+    const existingRole = await Role.findByName(role);
+    if (!existingRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (existingRole.is_builtin) {
+      return res.status(400).json({ error: `The built-in ${role} role cannot be deleted` });
+    }
+
+    // Admins are only made through a confirmed promotion, never in bulk
+    if (reassignTo === 'Admin') {
+      return res.status(400).json({ error: 'reassign_to cannot be Admin; promote members individually afterwards' });
+    }
+
+    if (reassignTo === role || !(await Role.exists(reassignTo))) {
+      return res.status(400).json({ error: 'reassign_to must be another existing role' });
+    }
+
+    const { reassigned_users } = await Role.remove(role, reassignTo);
+
+    await recordAudit(req, {
+      action: 'role.deleted',
+      targetType: 'role',
+      targetId: role,
+      before: auditedRole(existingRole),
+      after: { reassigned_to: reassignTo, reassigned_users }
+    });
+
+    res.json({
+      message: `Role ${role} deleted`,
+      reassigned_to: reassignTo,
+      reassigned_users
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/roles/{role}/two-factor:
+ *   put:
+ *     summary: Enforce or relax two-factor authentication for a role (requires manage_roles)
+ *     description: Members of a role that enforces 2FA can only use the 2FA enrolment endpoints until they have enabled it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Role not found
+ */
+// PUT /api/admin/roles/:role/two-factor - Toggle 2FA enforcement for a role (manage_roles)
+router.put('/admin/roles/:role/two-factor', authenticateToken, hasPermission('manage_roles'), [
+  body('required').isBoolean().withMessage('required must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.params;
+    const { required } = req.body;
+
+    const existingRole = await Role.findByName(role);
+    if (!existingRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const updatedRole = await RolePermission.setTwoFactorRequired(role, required);
+    if (!updatedRole) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'role.two_factor_updated',
+      targetType: 'role',
+      targetId: role,
+      before: { require_two_factor: existingRole.require_two_factor },
+      after: { require_two_factor: updatedRole.require_two_factor }
+    });
+
+    res.json({
+      message: `Two-factor authentication ${required ? 'required' : 'no longer required'} for ${role}`,
+      role: updatedRole
+    });
+  } catch (error) {
+    console.error('Update role 2FA error:', error);
+    res.status(500).json({ error: 'Failed to update two-factor requirement' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Dashboard statistics for committee reports (requires view_stats)
+ *     description: |
+ *       Member growth per month, active/inactive accounts per role, events per month with RSVPs and check-in
+ *       rates, poll participation, the blog approval backlog and the top event hosts. Monthly figures cover
+ *       from..to (default: the last 12 months); counts per role and status and the blog backlog are current.
+ *       Results are cached per range for STATS_CACHE_SECONDS (default 300); pass refresh=true to recompute.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 range:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date
+ *                     to:
+ *                       type: string
+ *                       format: date
+ *                 generated_at:
+ *                   type: string
+ *                   format: date-time
+ *                 cached:
+ *                   type: boolean
+ *                 members:
+ *                   type: object
+ *                   properties:
+ *                     growth:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           month:
+ *                             type: string
+ *                             example: 2026-09
+ *                           new_members:
+ *                             type: integer
+ *                           total_members:
+ *                             type: integer
+ *                     by_role:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           role:
+ *                             type: string
+ *                           active:
+ *                             type: integer
+ *                           inactive:
+ *                             type: integer
+ *                     by_status:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           membership_status:
+ *                             type: string
+ *                           members:
+ *                             type: integer
+ *                 events:
+ *                   type: object
+ *                   properties:
+ *                     by_month:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           month:
+ *                             type: string
+ *                           events:
+ *                             type: integer
+ *                           rsvps:
+ *                             type: integer
+ *                           cancelled_rsvps:
+ *                             type: integer
+ *                           checked_in:
+ *                             type: integer
+ *                           rsvps_per_event:
+ *                             type: number
+ *                           check_in_rate:
+ *                             type: number
+ *                             description: Checked-in share of RSVPs for events that have taken place
+ *                     top_hosts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                 polls:
+ *                   type: object
+ *                   properties:
+ *                     polls:
+ *                       type: integer
+ *                     votes:
+ *                       type: integer
+ *                     average_participation_rate:
+ *                       type: number
+ *                       description: Votes per poll as a share of currently active members, averaged
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                 blogs:
+ *                   type: object
+ *                   properties:
+ *                     pending:
+ *                       type: integer
+ *                     oldest_pending_at:
+ *                       type: string
+ *                       format: date-time
+ *                     average_pending_days:
+ *                       type: number
+ *                     awaiting_revision:
+ *                       type: integer
+ *                     written_in_range:
+ *                       type: integer
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/stats - Dashboard statistics (view_stats)
+router.get('/admin/stats', authenticateToken, hasPermission('view_stats'), [
+  query('from').optional().isDate(STATS_DATE_FORMAT).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isDate(STATS_DATE_FORMAT).withMessage('to must be a date (YYYY-MM-DD)'),
+  query('refresh').optional().isBoolean().withMessage('refresh must be boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || defaultStatsFrom(to);
+
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    if (new Date(to) - new Date(from) > MAX_STATS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `The range can cover at most ${MAX_STATS_RANGE_DAYS} days` });
+    }
+
+    const cacheKey = `${from}:${to}`;
+    const cached = req.query.refresh ? undefined : statsCache.get(cacheKey);
+    if (cached) {
+      return res.json({ ...cached, cached: true });
+    }
+
+    const [growth, byRole, byStatus, eventsByMonth, topHosts, polls, blogs] = await Promise.all([
+      Stats.memberGrowth(from, to),
+      Stats.membersByRole(),
+      Stats.membersByStatus(),
+      Stats.eventsByMonth(from, to),
+      Stats.topHosts(from, to),
+      Stats.pollParticipation(from, to),
+      Stats.blogBacklog(from, to)
+    ]);
+
+    const stats = statsCache.set(cacheKey, {
+      range: { from, to },
+      generated_at: new Date().toISOString(),
+      members: { growth, by_role: byRole, by_status: byStatus },
+      events: { by_month: eventsByMonth, top_hosts: topHosts },
+      polls,
+      blogs
+    });
+
+    res.json({ ...stats, cached: false });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Failed to get statistics' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Search the audit log of privileged actions (requires view_audit_log)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, or a prefix ending in * (e.g. role.*)
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           example: user
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: A date without a time includes that whole day
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads every matching entry (at most 10000), ignoring page and limit
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *       400:
+ *         description: Invalid filters, or a csv export matching more than 10000 entries
+ */
+// GET /api/admin/audit - Search the audit log (view_audit_log)
+router.get('/admin/audit', authenticateToken, hasPermission('view_audit_log'), [
+  query('actor_id').optional().isString(),
+  query('action').optional().isString(),
+  query('target_type').optional().isString(),
+  query('target_id').optional().isString(),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filters = {
+      actorId: req.query.actor_id,
+      action: req.query.action,
+      targetType: req.query.target_type,
+      targetId: req.query.target_id,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    if (req.query.format === 'csv') {
+      // The log only grows, so an export has to be narrowed down rather than load everything
+      const totalEntries = await AuditLog.count(filters);
+      if (totalEntries > MAX_AUDIT_EXPORT_ROWS) {
+        return res.status(400).json({
+          error: `The export would contain ${totalEntries} entries; narrow it to at most ${MAX_AUDIT_EXPORT_ROWS} with from/to or other filters`,
+          totalEntries,
+          limit: MAX_AUDIT_EXPORT_ROWS
+        });
+      }
+
+      const entries = await AuditLog.find(filters, 1, MAX_AUDIT_EXPORT_ROWS);
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.send(toCsv(entries, [
+        'created_at', 'actor_id', 'actor_username', 'action', 'target_type', 'target_id', 'before', 'after', 'ip_address', 'id'
+      ]));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit, 10) || 50));
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(filters, page, limit),
+      AuditLog.count(filters)
+    ]);
+
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        limit,
+        totalEntries,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
   }
 });
 
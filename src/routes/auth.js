@@ -1,12 +1,52 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const UserProfile = require('../models/UserProfile');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const EmailVerification = require('../models/EmailVerification');
+const TwoFactor = require('../models/TwoFactor');
+const RolePermission = require('../models/RolePermission');
+const MembershipReview = require('../models/MembershipReview');
+const Suspension = require('../models/Suspension');
 const { authenticateToken } = require('../middleware/auth');
+const { issueTokens, rotateTokens, generateChallengeToken } = require('../utils/tokens');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice
+} = require('../utils/emails');
+const { passwordPolicy } = require('../utils/passwordPolicy');
+const { memberFieldRules } = require('../utils/memberFields');
+const { checkSigninAllowed, sendThrottled, recordFailedSignin, recordSuccessfulSignin } = require('../utils/loginThrottle');
 
 const router = express.Router();
 
+const VERIFICATION_RESENDS_PER_HOUR = 5;
+
+// Issue an email verification token and send it (errors are logged, not surfaced)
+const sendVerification = (user) => {
+  return EmailVerification.create(user.id, user.email)
+    .then(({ token }) => sendVerificationEmail(user, token))
+    .catch((err) => console.error('Verification email error:', err));
+};
+
+// Create a user, redeeming an invitation code when one is given.
+// Invited users are active immediately and get the role the invitation pre-assigns.
+const createUser = async ({ email, password, username }, inviteCode) => {
+  if (!inviteCode) {
+    return { user: await User.create({ email, password, username }) };
+  }
+
+  const created = await User.createInvited({ email, password, username }, inviteCode);
+  if (!created) {
+    return { error: 'Invalid or expired invitation code' };
+  }
+
+  return created;
+};
+
 /**
  * @swagger
  * /signup:
@@ -33,6 +73,9 @@ const router = express.Router();
  *               username:
  *                 type: string
  *                 minLength: 3
+ *               invite_code:
+ *                 type: string
+ *                 description: Invitation code; invited users are activated immediately
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -45,16 +88,21 @@ const router = express.Router();
  *                   type: string
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /auth/refresh
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, user already exists, or invalid invitation code
  */
 // POST /api/signup - Register a new user
 router.post('/signup', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordPolicy(),
   body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('invite_code').optional().isString(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -62,7 +110,7 @@ router.post('/signup', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, username } = req.body;
+    const { email, password, username, invite_code } = req.body;
 
     // Check if user already exists using models
     if (await User.emailExists(email)) {
@@ -73,24 +121,28 @@ router.post('/signup', [
       return res.status(400).json({ error: 'Username already taken' });
     }
 
-    // Create user using models
-    const user = await User.create({ email, password, username });
+    // Create user using models (activated straight away with a valid invitation)
+    const { user, error } = await createUser({ email, password, username }, invite_code);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Ask the new member to confirm their email address
+    sendVerification(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session and generate access/refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
         username: user.username,
-        role: user.role
+        role: user.role,
+        is_active: user.is_active
       }
     });
   } catch (error) {
@@ -128,7 +180,7 @@ router.post('/signup', [
  *                 type: string
  *     responses:
  *       200:
- *         description: Authentication successful
+ *         description: Authentication successful, or a two-factor challenge when 2FA is enabled
  *         content:
  *           application/json:
  *             schema:
@@ -136,12 +188,30 @@ router.post('/signup', [
  *               properties:
  *                 message:
  *                   type: string
+ *                 two_factor_required:
+ *                   type: boolean
+ *                   description: When true, only challengeToken is returned; complete signin at POST /auth/2fa/verify
+ *                 challengeToken:
+ *                   type: string
+ *                 two_factor_setup_required:
+ *                   type: boolean
+ *                   description: The user's role enforces 2FA and it has not been set up yet
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /auth/refresh
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account not activated yet, membership application rejected (code APPLICATION_REJECTED, with reason), or account suspended (code ACCOUNT_SUSPENDED, with the suspension's reason and end)
+ *       423:
+ *         description: Account temporarily locked after repeated failures (code ACCOUNT_LOCKED, retry_after seconds, locked_until)
+ *       429:
+ *         description: Too many attempts; wait retry_after seconds (code TOO_MANY_ATTEMPTS, Retry-After header)
  */
 // POST /api/signin - Authenticate user and return JWT token
 router.post('/signin', [
@@ -156,37 +226,78 @@ router.post('/signin', [
 
     const { email, password } = req.body;
 
+    // Refuse early while the account or IP is throttled or locked
+    const blocked = await checkSigninAllowed(email, req.ip);
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
     // Find user using models
     const user = await User.findByEmail(email);
 
     if (!user) {
+      await recordFailedSignin(email, req.ip);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Verify password using models
     const isValidPassword = await User.verifyPassword(password, user.password);
     if (!isValidPassword) {
+      await recordFailedSignin(email, req.ip);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Check if user is active (unless they are Admin)
     if (!user.is_active && user.role !== 'Admin') {
+      const review = await MembershipReview.findLatestByUserId(user.id);
+      if (review?.decision === 'rejected') {
+        return res.status(403).json({
+          error: 'Membership application rejected',
+          code: 'APPLICATION_REJECTED',
+          message: 'Your membership application was not approved. Please contact an administrator if you have questions.',
+          reason: review.reason
+        });
+      }
+
       return res.status(403).json({ 
         error: 'Account is not activated', 
         message: 'Your account requires administrator activation. Please contact support.' 
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Tell suspended members why, and until when
+    const suspension = await Suspension.findCurrent(user.id);
+    if (suspension) {
+      return res.status(403).json({
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        message: suspension.ends_at
+          ? `Your account is suspended until ${new Date(suspension.ends_at).toUTCString()}.`
+          : 'Your account is suspended until an administrator lifts the suspension.',
+        suspension: { reason: suspension.reason, starts_at: suspension.starts_at, ends_at: suspension.ends_at }
+      });
+    }
+
+    // With 2FA enabled, the password step only earns a challenge token
+    const twoFactor = await TwoFactor.findByUserId(user.id);
+    if (twoFactor?.enabled_at) {
+      return res.json({
+        message: 'Two-factor code required',
+        two_factor_required: true,
+        challengeToken: generateChallengeToken(user.id)
+      });
+    }
+
+    await recordSuccessfulSignin(email);
+
+    // Start a session and generate access/refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       message: 'Authentication successful',
       token,
+      refreshToken,
+      two_factor_setup_required: await RolePermission.isTwoFactorRequired(user.role),
       user: {
         id: user.id,
         email: user.email,
@@ -218,6 +329,29 @@ router.post('/signin', [
  *               properties:
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 impersonating:
+ *                   type: boolean
+ *                   description: True when the request uses an Admin's impersonation token
+ *                 impersonation:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     impersonator:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         username:
+ *                           type: string
+ *                     started_at:
+ *                       type: string
+ *                       format: date-time
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
  *       401:
  *         description: Unauthorized
  */
@@ -225,13 +359,614 @@ router.post('/signin', [
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
-    res.json({ user });
+    res.json({
+      user,
+      impersonating: Boolean(req.impersonation),
+      impersonation: req.impersonation || null
+    });
   } catch (error) {
     console.error('Get me error:', error);
     res.status(500).json({ error: 'Failed to get user info' });
   }
 });
 
+/**
+ * @swagger
+ * /me/password:
+ *   put:
+ *     summary: Change password
+ *     description: Requires the current password. Every other session is signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is wrong
+ */
+// PUT /api/me/password - Change password
+router.put('/me/password', authenticateToken, [
+  body('current_password').notEmpty().withMessage('Current password required'),
+  passwordPolicy('new_password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const user = await User.findByEmail(req.user.email);
+    if (!(await User.verifyPassword(current_password, user.password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    await User.updatePassword(req.user.id, new_password);
+
+    // Keep this device signed in, sign out everywhere else
+    const revoked = await Session.revokeAllForUser(req.user.id, req.sessionId);
+
+    res.json({ message: 'Password changed successfully', sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/email:
+ *   put:
+ *     summary: Request an email address change
+ *     description: Sends a confirmation link to the new address. The email is only changed once the link is opened (GET /auth/verify-email).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - new_email
+ *               - current_password
+ *             properties:
+ *               new_email:
+ *                 type: string
+ *                 format: email
+ *               current_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent to the new address
+ *       400:
+ *         description: Validation error, same address, or email already registered
+ *       401:
+ *         description: Current password is wrong
+ */
+// PUT /api/me/email - Start an email change (confirmed via the new address)
+router.put('/me/email', authenticateToken, [
+  body('new_email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('current_password').notEmpty().withMessage('Current password required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { new_email, current_password } = req.body;
+
+    const user = await User.findByEmail(req.user.email);
+    if (!(await User.verifyPassword(current_password, user.password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (new_email === user.email) {
+      return res.status(400).json({ error: 'New email is the same as the current email' });
+    }
+
+    if (await User.emailExists(new_email)) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    const { token } = await EmailVerification.create(user.id, new_email);
+    await sendEmailChangeConfirmation(user, new_email, token);
+
+    // Let the current address know, in case the change wasn't requested by its owner
+    sendEmailChangeNotice(user, new_email)
+      .catch((err) => console.error('Email change notice error:', err));
+
+    res.json({ message: `A confirmation link has been sent to ${new_email}` });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed; the old refresh token can no longer be used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       401:
+ *         description: Refresh token invalid, expired or revoked. Reusing an already-rotated refresh token also revokes its session.
+ */
+// POST /api/auth/refresh - Rotate refresh token and issue a new access token
+router.post('/auth/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Presenting an already-rotated token ends the session it came from
+    const session = await Session.findActiveByRefreshToken(req.body.refreshToken);
+    if (!session) {
+      await Session.revokeByReusedRefreshToken(req.body.refreshToken);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Refuse to refresh for accounts that were deactivated since signin
+    const user = await User.findById(session.user_id);
+    if (!user || (!user.is_active && user.role !== 'Admin')) {
+      await Session.revoke(session.id, session.user_id);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // A concurrent refresh with the same token got there first, so this one is a replay
+    const tokens = await rotateTokens(session, req.body.refreshToken, req);
+    if (!tokens) {
+      await Session.revokeByReusedRefreshToken(req.body.refreshToken);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ */
+// POST /api/auth/logout - Revoke the current session
+router.post('/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await Session.revoke(req.sessionId, req.user.id);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of every session, on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+// POST /api/auth/logout-all - Revoke all sessions of the current user
+router.post('/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user.id);
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message, whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+// POST /api/auth/forgot-password - Email a single-use password reset link
+router.post('/auth/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Send in the background so response time doesn't reveal whether the email exists
+    User.findByEmail(email)
+      .then(async (user) => {
+        if (!user) {
+          return;
+        }
+        const { token, expires_at } = await PasswordReset.create(user.id);
+        await sendPasswordResetEmail(user, token, expires_at);
+      })
+      .catch((err) => console.error('Forgot password delivery error:', err));
+
+    res.json({ message: 'If that email is registered, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Signs the account out of every existing session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+// POST /api/auth/reset-password - Reset password with a single-use token
+router.post('/auth/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token required'),
+  passwordPolicy()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const userId = await PasswordReset.consume(token);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await User.updatePassword(userId, password);
+
+    // Sign out everywhere in case the old password was compromised
+    await Session.revokeAllForUser(userId);
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Verify an email address using the token from the verification email
+ *     description: Also confirms a pending email change requested via PUT /me/email.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+// GET /api/auth/verify-email - Verify email address
+router.get('/auth/verify-email', [
+  query('token').isString().notEmpty().withMessage('Verification token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verification = await EmailVerification.consume(req.query.token);
+    if (!verification) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const existingUser = await User.findById(verification.user_id);
+    if (!existingUser) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    let user;
+    if (existingUser.email === verification.email) {
+      user = await User.markEmailVerified(existingUser.id, verification.email);
+    } else {
+      // Token confirms an email change; the address may have been taken in the meantime
+      if (await User.emailExists(verification.email)) {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+      user = await User.updateEmail(existingUser.id, verification.email);
+
+      // Links for the old address (or other pending changes) must not switch it again
+      await EmailVerification.invalidateForUser(existingUser.id);
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      email: user.email,
+      email_verified_at: user.email_verified_at
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Always responds with the same message. Resends are throttled per account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+// POST /api/auth/resend-verification - Resend verification email (throttled)
+router.post('/auth/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    // Throttling is applied silently so the response doesn't reveal whether the email exists
+    User.findByEmail(email)
+      .then(async (user) => {
+        if (!user || user.email_verified_at) {
+          return;
+        }
+
+        const [sentLastMinute, sentLastHour] = await Promise.all([
+          EmailVerification.countRecent(user.id, 1),
+          EmailVerification.countRecent(user.id, 60)
+        ]);
+        if (sentLastMinute > 0 || sentLastHour >= VERIFICATION_RESENDS_PER_HOUR) {
+          return;
+        }
+
+        await sendVerification(user);
+      })
+      .catch((err) => console.error('Resend verification error:', err));
+
+    res.json({ message: 'If that account needs verification, a new link has been sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device, IP and last-used time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       ip_address:
+ *                         type: string
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       last_used_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+// GET /api/me/sessions - List active sessions
+router.get('/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUserId(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+// DELETE /api/me/sessions/:sessionId - Revoke a single session
+router.delete('/me/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const sessions = await Session.findActiveByUserId(req.user.id);
+    if (!sessions.some(session => session.id === sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await Session.revoke(sessionId, req.user.id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 /**
  * @swagger
  * /quick-signup:
@@ -272,6 +1007,9 @@ router.get('/me', authenticateToken, async (req, res) => {
  *               gender:
  *                 type: string
  *                 enum: [Male, Female, Other]
+ *               invite_code:
+ *                 type: string
+ *                 description: Invitation code; invited users are activated immediately
  *     responses:
  *       201:
  *         description: User and profile created successfully
@@ -289,14 +1027,9 @@ router.get('/me', authenticateToken, async (req, res) => {
  */
 // POST /api/quick-signup - Quick signup with user and profile
 router.post('/quick-signup', [
-  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
-  body('firstname').notEmpty().withMessage('First name is required'),
-  body('lastname').notEmpty().withMessage('Last name is required'),
-  body('middlename').optional(),
-  body('date_of_birth').optional().isISO8601().toDate(),
-  body('gender').optional().isIn(['Male', 'Female', 'Other']),
+  ...memberFieldRules(),
+  passwordPolicy(),
+  body('invite_code').optional().isString(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -304,7 +1037,7 @@ router.post('/quick-signup', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, username, firstname, lastname, middlename, date_of_birth, gender } = req.body;
+    const { email, password, username, firstname, lastname, middlename, date_of_birth, gender, invite_code } = req.body;
 
     // Check if user already exists
     if (await User.emailExists(email)) {
@@ -315,8 +1048,14 @@ router.post('/quick-signup', [
       return res.status(400).json({ error: 'Username already taken' });
     }
 
-    // Create user
-    const user = await User.create({ email, password, username });
+    // Create user (activated straight away with a valid invitation)
+    const { user, error } = await createUser({ email, password, username }, invite_code);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Ask the new member to confirm their email address
+    sendVerification(user);
 
     // Create profile for the user
     const profile = await UserProfile.create({
@@ -334,7 +1073,8 @@ router.post('/quick-signup', [
         id: user.id,
         email: user.email,
         username: user.username,
-        role: user.role
+        role: user.role,
+        is_active: user.is_active
       },
       profile: {
         firstname: profile.firstname,
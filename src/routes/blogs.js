@@ -1,9 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Blog = require('../models/Blog');
-const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-const checkRoleAccess = require('../middleware/roleAccess');
+const { authenticateToken, optionalAuth, hasPermission, userCan } = require('../middleware/auth');
+const { recordAudit, pickFields } = require('../utils/audit');
+const { allowedBlogTransitions, authorCanEdit } = require('../config/blogModeration');
 
 const router = express.Router();
 
@@ -55,27 +55,10 @@ const router = express.Router();
  *                       type: boolean
  */
 // GET /api/blogs - List all blog posts with pagination (accessible by everyone)
-router.get('/blogs', async (req, res) => {
+router.get('/blogs', optionalAuth, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    let isAdmin = false;
-
-    // If user is authenticated and is Admin, show all blogs including unapproved
-    if (token) {
-      try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
-        
-        if (user && user.role === 'Admin') {
-          isAdmin = true;
-        }
-      } catch (err) {
-        // Not authenticated or invalid token
-      }
-    }
+    // Users who can approve blogs also see unapproved ones
+    const showUnapproved = userCan(req, 'approve_blogs');
 
     // Parse pagination parameters
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
@@ -83,8 +66,8 @@ router.get('/blogs', async (req, res) => {
     
     // Get paginated blogs and total count
     const [blogs, totalBlogs] = await Promise.all([
-      Blog.findAllPaginated(page, limit, isAdmin),
-      Blog.count(isAdmin)
+      Blog.findAllPaginated(page, limit, showUnapproved),
+      Blog.count(showUnapproved)
     ]);
     
     const totalPages = Math.ceil(totalBlogs / limit);
@@ -110,7 +93,7 @@ router.get('/blogs', async (req, res) => {
  * @swagger
  * /blogs:
  *   post:
- *     summary: Create blog post (Admin & Secretary only)
+ *     summary: Create blog post (requires create_blogs)
  *     tags: [Blogs]
  *     security:
  *       - bearerAuth: []
@@ -128,6 +111,10 @@ router.get('/blogs', async (req, res) => {
  *                 type: string
  *               blog_content:
  *                 type: string
+ *               draft:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save as a draft instead of submitting it for review
  *     responses:
  *       201:
  *         description: Blog post created successfully
@@ -136,10 +123,11 @@ router.get('/blogs', async (req, res) => {
  *       403:
  *         description: Access denied
  */
-// POST /api/blogs - Create blog post (Admin & Secretary only; Admin blogs auto-approved)
-router.post('/blogs', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), [
+// POST /api/blogs - Create blog post (create_blogs; auto-approved for users with approve_blogs unless saved as a draft)
+router.post('/blogs', authenticateToken, hasPermission('create_blogs'), [
   body('title').notEmpty().withMessage('Title is required'),
-  body('blog_content').notEmpty().withMessage('Blog content is required')
+  body('blog_content').notEmpty().withMessage('Blog content is required'),
+  body('draft').optional().isBoolean().withMessage('draft must be true or false').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -147,16 +135,26 @@ router.post('/blogs', authenticateToken, checkRoleAccess(['Admin', 'Secretary'])
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, blog_content } = req.body;
+    const { title, blog_content, draft } = req.body;
     const author_id = req.user.id;
     
-    // Automatically approve if created by Admin
-    const is_available = req.user.role === 'Admin';
+    // Automatically approve if the author can approve blogs, unless it is saved as a draft
+    let status = userCan(req, 'approve_blogs') ? 'approved' : 'submitted';
+    if (draft) {
+      status = 'draft';
+    }
 
-    const blog = await Blog.create({ title, blog_content, author_id, is_available });
+    const blog = await Blog.create({ title, blog_content, author_id, status });
+
+    await recordAudit(req, {
+      action: 'blog.created',
+      targetType: 'blog',
+      targetId: blog.id,
+      after: pickFields(blog, ['title', 'author_id', 'status', 'is_available'])
+    });
 
     res.status(201).json({ 
-      message: 'Blog post created successfully',
+      message: status === 'submitted' ? 'Blog post submitted for review' : 'Blog post created successfully',
       blog
     });
   } catch (error) {
@@ -169,7 +167,7 @@ router.post('/blogs', authenticateToken, checkRoleAccess(['Admin', 'Secretary'])
  * @swagger
  * /blogs/{id}:
  *   put:
- *     summary: Update blog post (Admin & Secretary only)
+ *     summary: Update blog post (requires update_blogs; authors with create_blogs can edit their own until it is published or rejected)
  *     tags: [Blogs]
  *     security:
  *       - bearerAuth: []
@@ -192,11 +190,15 @@ router.post('/blogs', authenticateToken, checkRoleAccess(['Admin', 'Secretary'])
  *     responses:
  *       200:
  *         description: Blog post updated successfully
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Blog post not found
+ *       409:
+ *         description: The post is published or rejected and only editors can change it
  */
-// PUT /api/blogs/:id - Update blog post (Admin & Secretary only)
-router.put('/blogs/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), [
+// PUT /api/blogs/:id - Update blog post (update_blogs, or the author while they can still revise it)
+router.put('/blogs/:id', authenticateToken, hasPermission(['update_blogs', 'create_blogs']), [
   body('title').optional().notEmpty(),
   body('blog_content').optional().notEmpty()
 ], async (req, res) => {
@@ -210,13 +212,33 @@ router.put('/blogs/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary
     const { title, blog_content } = req.body;
 
     // Check if blog exists using models
-    if (!(await Blog.exists(id))) {
+    const existingBlog = await Blog.findById(id);
+    if (!existingBlog) {
       return res.status(404).json({ error: 'Blog post not found' });
     }
 
+    // Authors revise their own posts until they are published or rejected; after that only editors can
+    if (!userCan(req, 'update_blogs')) {
+      if (existingBlog.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. You can only edit your own posts.' });
+      }
+      if (!authorCanEdit(existingBlog.status)) {
+        return res.status(409).json({ error: `A post that is ${existingBlog.status} can no longer be edited by its author` });
+      }
+    }
+
     // Update blog using models
     const blog = await Blog.update(id, { title, blog_content });
 
+    const changedFields = ['title', 'blog_content'].filter(field => req.body[field] !== undefined);
+    await recordAudit(req, {
+      action: 'blog.updated',
+      targetType: 'blog',
+      targetId: id,
+      before: pickFields(existingBlog, changedFields),
+      after: pickFields(blog, changedFields)
+    });
+
     res.json({ 
       message: 'Blog post updated successfully',
       blog
@@ -227,11 +249,234 @@ router.put('/blogs/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary
   }
 });
 
+/**
+ * @swagger
+ * /blogs/mine:
+ *   get:
+ *     summary: Your own blog posts in every moderation status
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your posts, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blogs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Blog'
+ */
+// GET /api/blogs/mine - Own blog posts, including drafts and ones under review (authenticated)
+router.get('/blogs/mine', authenticateToken, async (req, res) => {
+  try {
+    const blogs = await Blog.findByAuthor(req.user.id);
+    res.json({ blogs });
+  } catch (error) {
+    console.error('Get own blogs error:', error);
+    res.status(500).json({ error: 'Failed to get your blog posts' });
+  }
+});
+
+/**
+ * @swagger
+ * /blogs/{id}/reviews:
+ *   get:
+ *     summary: Moderation history of a blog post with reviewer comments (author, or requires approve_blogs)
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current status, what the caller can do next, and the reviews, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blog:
+ *                   $ref: '#/components/schemas/Blog'
+ *                 allowed_transitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlogReview'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Blog post not found
+ */
+// GET /api/blogs/:id/reviews - Moderation history of a post (author or approve_blogs)
+router.get('/blogs/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    if (!blog) {
+      return res.status(404).json({ error: 'Blog post not found' });
+    }
+
+    const isAuthor = blog.author_id === req.user.id;
+    const isReviewer = userCan(req, 'approve_blogs');
+    if (!isAuthor && !isReviewer) {
+      return res.status(403).json({ error: 'Access denied. You can only see reviews of your own posts.' });
+    }
+
+    const reviews = await Blog.findReviews(blog.id);
+    const allowed = [
+      ...(isAuthor ? allowedBlogTransitions(blog.status, { reviewer: false }) : []),
+      ...(isReviewer ? allowedBlogTransitions(blog.status, { reviewer: true }) : [])
+    ];
+
+    res.json({ blog, allowed_transitions: allowed, reviews });
+  } catch (error) {
+    console.error('Get blog reviews error:', error);
+    res.status(500).json({ error: 'Failed to get blog reviews' });
+  }
+});
+
+// Author moves their own post between draft and the review queue
+const changeOwnBlogStatus = (status, { action, message, errorLabel }) => [
+  authenticateToken,
+  hasPermission('create_blogs'),
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existingBlog = await Blog.findById(req.params.id);
+      if (!existingBlog) {
+        return res.status(404).json({ error: 'Blog post not found' });
+      }
+
+      if (existingBlog.author_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied. Only the author can do this.' });
+      }
+
+      const allowed = allowedBlogTransitions(existingBlog.status, { reviewer: false });
+      if (!allowed.includes(status)) {
+        return res.status(409).json({
+          error: `Cannot move a post from ${existingBlog.status} to ${status}`,
+          allowed
+        });
+      }
+
+      const result = await Blog.changeStatus({
+        id: existingBlog.id,
+        status,
+        from: existingBlog.status,
+        comment: req.body.comment || null,
+        changedBy: req.user.id
+      });
+      if (!result) {
+        return res.status(409).json({ error: 'The post changed in the meantime; reload and try again' });
+      }
+
+      await recordAudit(req, {
+        action,
+        targetType: 'blog',
+        targetId: existingBlog.id,
+        before: { status: result.review.from_status },
+        after: { status: result.review.to_status }
+      });
+
+      res.json({ message, blog: result.blog, review: result.review });
+    } catch (error) {
+      console.error(`${errorLabel} error:`, error);
+      res.status(500).json({ error: `Failed to ${errorLabel.toLowerCase()}` });
+    }
+  }
+];
+
+/**
+ * @swagger
+ * /blogs/{id}/submit:
+ *   post:
+ *     summary: Submit your own draft or revised post for review (requires create_blogs)
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: Note for the reviewer, e.g. what changed since the last review
+ *     responses:
+ *       200:
+ *         description: Post is in the review queue
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post cannot be submitted from its current status
+ */
+// POST /api/blogs/:id/submit - Submit own post for review (create_blogs, author)
+router.post('/blogs/:id/submit', changeOwnBlogStatus('submitted', {
+  action: 'blog.submitted',
+  message: 'Blog post submitted for review',
+  errorLabel: 'Submit blog post'
+}));
+
+/**
+ * @swagger
+ * /blogs/{id}/withdraw:
+ *   post:
+ *     summary: Take your own post out of review and back to draft (requires create_blogs)
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post is a draft again
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Blog post not found
+ *       409:
+ *         description: The post cannot be withdrawn from its current status
+ */
+// POST /api/blogs/:id/withdraw - Move own post back to draft (create_blogs, author)
+router.post('/blogs/:id/withdraw', changeOwnBlogStatus('draft', {
+  action: 'blog.withdrawn',
+  message: 'Blog post moved back to draft',
+  errorLabel: 'Withdraw blog post'
+}));
+
 /**
  * @swagger
  * /blogs/{id}:
  *   delete:
- *     summary: Delete blog post (Admin & Secretary only)
+ *     summary: Delete blog post (requires delete_blogs)
  *     tags: [Blogs]
  *     security:
  *       - bearerAuth: []
@@ -247,18 +492,26 @@ router.put('/blogs/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary
  *       404:
  *         description: Blog post not found
  */
-// DELETE /api/blogs/:id - Delete blog post (Admin & Secretary only)
-router.delete('/blogs/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), async (req, res) => {
+// DELETE /api/blogs/:id - Delete blog post (delete_blogs)
+router.delete('/blogs/:id', authenticateToken, hasPermission('delete_blogs'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if blog exists using models
-    if (!(await Blog.exists(id))) {
+    const existingBlog = await Blog.findById(id);
+    if (!existingBlog) {
       return res.status(404).json({ error: 'Blog post not found' });
     }
 
     await Blog.delete(id);
 
+    await recordAudit(req, {
+      action: 'blog.deleted',
+      targetType: 'blog',
+      targetId: id,
+      before: pickFields(existingBlog, ['title', 'blog_content', 'author_id', 'author', 'is_available', 'created_at'])
+    });
+
     res.json({ message: 'Blog post deleted successfully' });
   } catch (error) {
     console.error('Delete blog error:', error);
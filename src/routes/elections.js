@@ -0,0 +1,737 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Election = require('../models/Election');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { sendNominationEmail } = require('../utils/emails');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const electionIdValidator = param('id').isUUID().withMessage('Invalid election ID');
+
+// Load the election named in the URL or send 404; returns null when a response was sent
+const loadElection = async (req, res) => {
+  const election = await Election.findById(req.params.id);
+  if (!election) {
+    res.status(404).json({ error: 'Election not found' });
+    return null;
+  }
+  return election;
+};
+
+// Only active members take part in nominations and the ballot
+const rejectInactive = (req, res) => {
+  if (req.user.is_active) {
+    return null;
+  }
+  return res.status(403).json({ error: 'Only active members can take part in elections' });
+};
+
+// Responses while the election is in the wrong phase for an action
+const rejectPhase = (res, election, phases, action) => {
+  if (phases.includes(election.phase)) {
+    return null;
+  }
+  return res.status(409).json({
+    error: `${action} is not possible while the election is ${election.phase}`,
+    code: 'ELECTION_PHASE',
+    phase: election.phase
+  });
+};
+
+// Candidates that were nominated but never accepted stay off the ballot once nominations close
+const visibleCandidates = (election, candidates) => {
+  if (election.phase === 'scheduled' || election.phase === 'nominating') {
+    return candidates.filter(candidate => candidate.status !== 'declined');
+  }
+  return candidates.filter(candidate => candidate.status === 'accepted');
+};
+
+/**
+ * @swagger
+ * /elections:
+ *   get:
+ *     summary: List elections
+ *     description: Phases are scheduled, nominating, voting, closed, certified and cancelled.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Elections, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 elections:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Election'
+ */
+// GET /api/elections - List elections
+router.get('/elections', authenticateToken, async (req, res) => {
+  try {
+    const elections = await Election.findAll();
+    res.json({ elections });
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({ error: 'Failed to get elections' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}:
+ *   get:
+ *     summary: Get an election with its candidates
+ *     description: Vote counts are not shown until voting has closed (see /elections/{id}/results).
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Election, candidates and whether the current user has voted
+ *       404:
+ *         description: Election not found
+ */
+// GET /api/elections/:id - Get election with candidates
+router.get('/elections/:id', authenticateToken, [electionIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const election = await loadElection(req, res);
+    if (!election) {
+      return;
+    }
+
+    const candidates = await Election.findCandidates(election.id);
+
+    res.json({
+      election,
+      candidates: visibleCandidates(election, candidates),
+      has_voted: await Election.hasVoted(election.id, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({ error: 'Failed to get election' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections:
+ *   post:
+ *     summary: Call an election for a role (requires manage_elections)
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - role
+ *               - nominations_close_at
+ *               - voting_closes_at
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: President 2026/27
+ *               description:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Role the winner is given on certification
+ *               nominations_open_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               nominations_close_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Voting opens when nominations close
+ *               voting_closes_at:
+ *                 type: string
+ *                 format: date-time
+ *               term_starts_on:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the winner's term (default the day of certification)
+ *               term_ends_on:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the winner's term (default open-ended)
+ *     responses:
+ *       201:
+ *         description: Election created
+ *       400:
+ *         description: Validation error, unknown role or dates out of order
+ */
+// POST /api/elections - Call an election (manage_elections)
+router.post('/elections', authenticateToken, hasPermission('manage_elections'), [
+  body('title').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Title is required (max 255 characters)'),
+  body('description').optional({ nullable: true }).isString(),
+  body('role').isString().notEmpty().withMessage('Role is required'),
+  body('nominations_open_at').optional({ nullable: true }).isISO8601().withMessage('Invalid date format'),
+  body('nominations_close_at').isISO8601().withMessage('nominations_close_at must be a date-time'),
+  body('voting_closes_at').isISO8601().withMessage('voting_closes_at must be a date-time'),
+  body('term_starts_on').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('term_starts_on must be a date (YYYY-MM-DD)'),
+  body('term_ends_on').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('term_ends_on must be a date (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      title, description, role, nominations_open_at, nominations_close_at,
+      voting_closes_at, term_starts_on, term_ends_on
+    } = req.body;
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    // Admins are only made through a promotion confirmed by a second Admin
+    if (role === 'Admin') {
+      return res.status(400).json({ error: 'The Admin role cannot be elected' });
+    }
+
+    const opensAt = nominations_open_at ? new Date(nominations_open_at) : new Date();
+    const nominationsCloseAt = new Date(nominations_close_at);
+    const votingClosesAt = new Date(voting_closes_at);
+    const termStart = term_starts_on ? term_starts_on.slice(0, 10) : null;
+    const termEnd = term_ends_on ? term_ends_on.slice(0, 10) : null;
+
+    if (nominationsCloseAt <= opensAt || votingClosesAt <= nominationsCloseAt) {
+      return res.status(400).json({
+        error: 'Dates must be in order: nominations_open_at < nominations_close_at < voting_closes_at'
+      });
+    }
+    if (termEnd && termEnd < (termStart || votingClosesAt.toISOString().slice(0, 10))) {
+      return res.status(400).json({ error: 'term_ends_on must not be before the term starts or voting closes' });
+    }
+
+    const election = await Election.create({
+      title,
+      description,
+      role,
+      nominationsOpenAt: nominations_open_at ? opensAt : null,
+      nominationsCloseAt,
+      votingClosesAt,
+      termStartsOn: termStart,
+      termEndsOn: termEnd,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'election.created',
+      targetType: 'election',
+      targetId: election.id,
+      after: election
+    });
+
+    res.status(201).json({
+      message: 'Election created successfully',
+      election
+    });
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({ error: 'Failed to create election' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/cancel:
+ *   post:
+ *     summary: Cancel an election that has not been certified (requires manage_elections)
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Election cancelled
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Election already certified or cancelled
+ */
+// POST /api/elections/:id/cancel - Cancel an election (manage_elections)
+router.post('/elections/:id/cancel', authenticateToken, hasPermission('manage_elections'), [electionIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const election = await loadElection(req, res);
+    if (!election) {
+      return;
+    }
+
+    if (!(await Election.cancel(election.id))) {
+      return res.status(409).json({ error: `The election is already ${election.phase}` });
+    }
+
+    await recordAudit(req, {
+      action: 'election.cancelled',
+      targetType: 'election',
+      targetId: election.id,
+      before: { phase: election.phase },
+      after: { phase: 'cancelled' }
+    });
+
+    res.json({ message: 'Election cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel election error:', error);
+    res.status(500).json({ error: 'Failed to cancel election' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/nominations:
+ *   post:
+ *     summary: Nominate an active member, or yourself, while nominations are open (requires vote_polls)
+ *     description: Self-nominations are accepted immediately; other nominees are emailed and must accept before nominations close.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 description: Member to nominate (defaults to yourself)
+ *               statement:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Nomination recorded
+ *       400:
+ *         description: Nominee is not an active member
+ *       409:
+ *         description: Nominations are not open, or the member is already nominated
+ */
+// POST /api/elections/:id/nominations - Nominate a candidate (vote_polls)
+router.post('/elections/:id/nominations', authenticateToken, hasPermission('vote_polls'), [
+  electionIdValidator,
+  body('user_id').optional().isString().notEmpty().withMessage('user_id must be a user ID'),
+  body('statement').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Statement must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (rejectInactive(req, res)) {
+      return;
+    }
+
+    const election = await loadElection(req, res);
+    if (!election || rejectPhase(res, election, ['nominating'], 'Nominating')) {
+      return;
+    }
+
+    const nominee = req.body.user_id ? await User.findById(req.body.user_id) : req.user;
+    if (!nominee || !nominee.is_active) {
+      return res.status(400).json({ error: 'Only active members can be nominated' });
+    }
+
+    const candidate = await Election.nominate({
+      electionId: election.id,
+      userId: nominee.id,
+      nominatedBy: req.user.id,
+      statement: nominee.id === req.user.id ? req.body.statement : null
+    });
+
+    if (!candidate) {
+      return res.status(409).json({ error: 'This member has already been nominated' });
+    }
+
+    // The nomination stands even if the email can't be sent
+    if (candidate.status === 'nominated') {
+      try {
+        await sendNominationEmail(nominee, election, req.user);
+      } catch (error) {
+        console.error('Nomination email error:', error);
+      }
+    }
+
+    res.status(201).json({
+      message: candidate.status === 'accepted'
+        ? 'You are now a candidate'
+        : 'Nomination recorded; the nominee must accept it before nominations close',
+      candidate
+    });
+  } catch (error) {
+    console.error('Nominate error:', error);
+    res.status(500).json({ error: 'Failed to record nomination' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/candidates/{candidateId}/{decision}:
+ *   post:
+ *     summary: Accept or decline your nomination while nominations are open (requires vote_polls)
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: candidateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: decision
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, decline]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statement:
+ *                 type: string
+ *                 description: Candidate statement shown to voters
+ *     responses:
+ *       200:
+ *         description: Answer recorded
+ *       403:
+ *         description: Not your nomination
+ *       404:
+ *         description: Election or candidate not found
+ *       409:
+ *         description: Nominations are closed
+ */
+// POST /api/elections/:id/candidates/:candidateId/:decision - Accept or decline a nomination (vote_polls, nominee only)
+router.post('/elections/:id/candidates/:candidateId/:decision(accept|decline)', authenticateToken, hasPermission('vote_polls'), [
+  electionIdValidator,
+  param('candidateId').isUUID().withMessage('Invalid candidate ID'),
+  body('statement').optional({ nullable: true }).isString().isLength({ max: 2000 }).withMessage('Statement must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (rejectInactive(req, res)) {
+      return;
+    }
+
+    const election = await loadElection(req, res);
+    if (!election || rejectPhase(res, election, ['nominating'], 'Answering a nomination')) {
+      return;
+    }
+
+    const candidate = await Election.findCandidate(election.id, req.params.candidateId);
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    if (candidate.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the nominee can answer a nomination' });
+    }
+
+    const accepted = req.params.decision === 'accept';
+    const updated = await Election.respond(candidate.id, accepted ? 'accepted' : 'declined', req.body.statement);
+
+    res.json({
+      message: accepted ? 'Nomination accepted' : 'Nomination declined',
+      candidate: updated
+    });
+  } catch (error) {
+    console.error('Answer nomination error:', error);
+    res.status(500).json({ error: 'Failed to answer nomination' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/vote:
+ *   post:
+ *     summary: Cast a secret ballot while voting is open (requires vote_polls, active members only)
+ *     description: Each member votes once. The ballot is not linked to the voter, so a vote cannot be changed or looked up.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate_id
+ *             properties:
+ *               candidate_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Vote recorded
+ *       400:
+ *         description: Not a candidate on the ballot
+ *       403:
+ *         description: Account is not active
+ *       409:
+ *         description: Voting is not open, no candidates, or already voted
+ */
+// POST /api/elections/:id/vote - Cast a secret ballot (vote_polls)
+router.post('/elections/:id/vote', authenticateToken, hasPermission('vote_polls'), [
+  electionIdValidator,
+  body('candidate_id').isUUID().withMessage('candidate_id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (rejectInactive(req, res)) {
+      return;
+    }
+
+    const election = await loadElection(req, res);
+    if (!election || rejectPhase(res, election, ['voting'], 'Voting')) {
+      return;
+    }
+
+    if (!(await Election.openBallot(election.id))) {
+      return res.status(409).json({ error: 'No candidate accepted a nomination, so there is nothing to vote on' });
+    }
+
+    const candidate = await Election.findCandidate(election.id, req.body.candidate_id);
+    if (!candidate || !candidate.poll_option_id) {
+      return res.status(400).json({ error: 'Not a candidate on this ballot' });
+    }
+
+    if (!(await Election.castBallot(election.id, req.user.id, candidate))) {
+      return res.status(409).json({ error: 'You have already voted in this election' });
+    }
+
+    res.json({ message: 'Vote recorded successfully' });
+  } catch (error) {
+    console.error('Election vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/results:
+ *   get:
+ *     summary: Vote totals once voting has closed
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Candidates ranked by votes, with turnout and whether the result is certified
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Voting has not closed yet
+ */
+// GET /api/elections/:id/results - Election results after voting closes
+router.get('/elections/:id/results', authenticateToken, [electionIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const election = await loadElection(req, res);
+    if (!election || rejectPhase(res, election, ['closed', 'certified'], 'Viewing results')) {
+      return;
+    }
+
+    const results = await Election.getResults(election.id);
+
+    res.json({
+      election,
+      certified: election.phase === 'certified',
+      turnout: election.turnout,
+      results
+    });
+  } catch (error) {
+    console.error('Get election results error:', error);
+    res.status(500).json({ error: 'Failed to get election results' });
+  }
+});
+
+/**
+ * @swagger
+ * /elections/{id}/certify:
+ *   post:
+ *     summary: Certify the result and give the winner the role for the term (requires manage_elections)
+ *     description: The winner's role is changed the same way as PUT /admin/users/{userId}/role, and appears in their role history. A tie must be broken by passing winner_id.
+ *     tags: [Elections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               winner_id:
+ *                 type: string
+ *                 description: User ID of one of the tied leaders
+ *     responses:
+ *       200:
+ *         description: Result certified and role assigned (or scheduled)
+ *       404:
+ *         description: Election not found
+ *       409:
+ *         description: Voting still open, no votes, unresolved tie, role retired, already certified, or the winner is the last active Admin (code LAST_ADMIN)
+ */
+// POST /api/elections/:id/certify - Certify the result (manage_elections)
+router.post('/elections/:id/certify', authenticateToken, hasPermission('manage_elections'), [
+  electionIdValidator,
+  body('winner_id').optional().isString().notEmpty().withMessage('winner_id must be a user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const election = await loadElection(req, res);
+    if (!election || rejectPhase(res, election, ['closed'], 'Certifying')) {
+      return;
+    }
+
+    const results = await Election.getResults(election.id);
+    const topVotes = results.length > 0 ? results[0].votes : 0;
+    if (topVotes === 0) {
+      return res.status(409).json({ error: 'No votes were cast; cancel the election instead' });
+    }
+
+    const leaders = results.filter(result => result.votes === topVotes);
+    const { winner_id } = req.body;
+    let winner = leaders[0];
+
+    if (leaders.length > 1 || winner_id) {
+      winner = leaders.find(leader => leader.user_id === winner_id);
+      if (!winner) {
+        return res.status(409).json({
+          error: 'The result is tied; pass winner_id to choose one of the leaders',
+          code: 'ELECTION_TIED',
+          leaders
+        });
+      }
+    }
+
+    if (!(await Role.exists(election.role))) {
+      return res.status(409).json({ error: `The ${election.role} role no longer exists` });
+    }
+
+    const certified = await Election.certify(election.id, winner.user_id, req.user.id);
+    if (!certified) {
+      return res.status(409).json({ error: 'The election has already been certified or cancelled' });
+    }
+
+    // Someone must always be able to administer the community
+    if (certified.code === 'LAST_ADMIN') {
+      return res.status(409).json({
+        error: `${winner.username} is the last active Admin; promote another Admin before certifying`,
+        code: 'LAST_ADMIN'
+      });
+    }
+
+    const { assignment } = certified;
+
+    await recordAudit(req, {
+      action: 'election.certified',
+      targetType: 'election',
+      targetId: election.id,
+      before: { phase: election.phase },
+      after: { phase: 'certified', winner_id: winner.user_id, role: election.role, votes: winner.votes }
+    });
+
+    res.json({
+      message: assignment.applied_at
+        ? `Result certified; ${winner.username} is now ${election.role}`
+        : `Result certified; ${winner.username} becomes ${election.role} on ${new Date(assignment.effective_from).toDateString()}`,
+      election: await Election.findById(election.id),
+      results,
+      assignment
+    });
+  } catch (error) {
+    console.error('Certify election error:', error);
+    res.status(500).json({ error: 'Failed to certify election' });
+  }
+});
+
+module.exports = router;
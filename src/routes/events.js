@@ -3,8 +3,8 @@ const { body, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const EventAttendee = require('../models/EventAttendee');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
-const checkRoleAccess = require('../middleware/roleAccess');
+const { authenticateToken, hasPermission, checksPermission, userCan } = require('../middleware/auth');
+const { recordAudit, pickFields } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -12,7 +12,7 @@ const router = express.Router();
  * @swagger
  * /events/users:
  *   get:
- *     summary: Get list of users for event host selection (Admin & Secretary only)
+ *     summary: Get list of users for event host selection (requires create_events or update_events)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -42,8 +42,8 @@ const router = express.Router();
  *       403:
  *         description: Access denied
  */
-// GET /api/events/users - Get users list for event host dropdown (Admin & Secretary only)
-router.get('/events/users', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), async (req, res) => {
+// GET /api/events/users - Get users list for event host dropdown (create_events or update_events)
+router.get('/events/users', authenticateToken, hasPermission(['create_events', 'update_events']), async (req, res) => {
   try {
     const users = await User.findAll();
     res.json({ users });
@@ -152,8 +152,8 @@ router.get('/events', async (req, res) => {
  *       404:
  *         description: Event not found
  */
-// POST /api/events/:id/rsvp - RSVP to an event
-router.post('/events/:id/rsvp', authenticateToken, async (req, res) => {
+// POST /api/events/:id/rsvp - RSVP to an event (rsvp_events)
+router.post('/events/:id/rsvp', authenticateToken, hasPermission('rsvp_events'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
@@ -190,8 +190,8 @@ router.post('/events/:id/rsvp', authenticateToken, async (req, res) => {
  *       404:
  *         description: Event not found
  */
-// DELETE /api/events/:id/rsvp - Cancel RSVP
-router.delete('/events/:id/rsvp', authenticateToken, async (req, res) => {
+// DELETE /api/events/:id/rsvp - Cancel RSVP (rsvp_events)
+router.delete('/events/:id/rsvp', authenticateToken, hasPermission('rsvp_events'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
@@ -234,8 +234,8 @@ router.delete('/events/:id/rsvp', authenticateToken, async (req, res) => {
  *       404:
  *         description: Event not found
  */
-// GET /api/events/:id/attendees - List attendees (admins, secretaries, or event host)
-router.get('/events/:id/attendees', authenticateToken, async (req, res) => {
+// GET /api/events/:id/attendees - List attendees (view_attendees or event host)
+router.get('/events/:id/attendees', authenticateToken, checksPermission('view_attendees'), async (req, res) => {
   try {
     const { id } = req.params;
     const currentUser = req.user;
@@ -245,10 +245,9 @@ router.get('/events/:id/attendees', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const isPrivilegedRole = ['Admin', 'Secretary'].includes(currentUser.role);
     const isEventHost = event.event_host === currentUser.id;
 
-    if (!isPrivilegedRole && !isEventHost) {
+    if (!userCan(req, 'view_attendees') && !isEventHost) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -287,8 +286,8 @@ router.get('/events/:id/attendees', authenticateToken, async (req, res) => {
  *       404:
  *         description: Event or user not found
  */
-// POST /api/events/:id/rsvp/:userId/confirm - Confirm attendance (Admin/Secretary/Event Host)
-router.post('/events/:id/rsvp/:userId/confirm', authenticateToken, async (req, res) => {
+// POST /api/events/:id/rsvp/:userId/confirm - Confirm attendance (check_in_attendees or event host)
+router.post('/events/:id/rsvp/:userId/confirm', authenticateToken, checksPermission('check_in_attendees'), async (req, res) => {
   try {
     const { id, userId } = req.params;
     const currentUser = req.user;
@@ -303,14 +302,23 @@ router.post('/events/:id/rsvp/:userId/confirm', authenticateToken, async (req, r
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const isPrivilegedRole = ['Admin', 'Secretary'].includes(currentUser.role);
     const isEventHost = event.event_host === currentUser.id;
 
-    if (!isPrivilegedRole && !isEventHost) {
+    if (!userCan(req, 'check_in_attendees') && !isEventHost) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    const previous = await EventAttendee.getStatus(id, userId);
     const attendee = await EventAttendee.confirmAttendance(id, userId, currentUser.id);
+
+    await recordAudit(req, {
+      action: 'event.attendance_confirmed',
+      targetType: 'event_attendee',
+      targetId: attendee.id,
+      before: { event_id: id, user_id: userId, status: previous ? previous.status : null },
+      after: { event_id: id, user_id: userId, status: attendee.status }
+    });
+
     res.json({ message: 'Attendance confirmed', attendee });
   } catch (error) {
     console.error('Confirm attendance error:', error);
@@ -322,7 +330,7 @@ router.post('/events/:id/rsvp/:userId/confirm', authenticateToken, async (req, r
  * @swagger
  * /events:
  *   post:
- *     summary: Create new event (Admin & Secretary only)
+ *     summary: Create new event (requires create_events)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -360,8 +368,8 @@ router.post('/events/:id/rsvp/:userId/confirm', authenticateToken, async (req, r
  *       403:
  *         description: Access denied
  */
-// POST /api/events - Create new event (Admin & Secretary only)
-router.post('/events', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), [
+// POST /api/events - Create new event (create_events)
+router.post('/events', authenticateToken, hasPermission('create_events'), [
   body('event_name').notEmpty().withMessage('Event name is required'),
   body('event_date').notEmpty().withMessage('Event date is required'),
   body('event_description').optional(),
@@ -403,6 +411,13 @@ router.post('/events', authenticateToken, checkRoleAccess(['Admin', 'Secretary']
       event_host_name: final_event_host_name
     });
 
+    await recordAudit(req, {
+      action: 'event.created',
+      targetType: 'event',
+      targetId: event.id,
+      after: event
+    });
+
     res.status(201).json({ 
       message: 'Event created successfully',
       event
@@ -417,7 +432,7 @@ router.post('/events', authenticateToken, checkRoleAccess(['Admin', 'Secretary']
  * @swagger
  * /events/{id}:
  *   put:
- *     summary: Update event (Admin & Secretary only)
+ *     summary: Update event (requires update_events)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -455,8 +470,8 @@ router.post('/events', authenticateToken, checkRoleAccess(['Admin', 'Secretary']
  *       404:
  *         description: Event not found
  */
-// PUT /api/events/:id - Update event (Admin & Secretary only)
-router.put('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), [
+// PUT /api/events/:id - Update event (update_events)
+router.put('/events/:id', authenticateToken, hasPermission('update_events'), [
   body('event_name').optional().notEmpty(),
   body('event_description').optional(),
   body('event_host').optional(),
@@ -472,7 +487,8 @@ router.put('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretar
     const { event_name, event_address, event_time, event_date, event_description, event_host, event_host_name } = req.body;
 
     // Check if event exists using models
-    if (!(await Event.exists(id))) {
+    const existingEvent = await Event.findById(id);
+    if (!existingEvent) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
@@ -511,6 +527,15 @@ router.put('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretar
     // Update event using models
     const event = await Event.update(id, updateFields);
 
+    const changedFields = Object.keys(updateFields).filter(field => updateFields[field] !== undefined);
+    await recordAudit(req, {
+      action: 'event.updated',
+      targetType: 'event',
+      targetId: id,
+      before: pickFields(existingEvent, changedFields),
+      after: pickFields(event, changedFields)
+    });
+
     res.json({ 
       message: 'Event updated successfully',
       event
@@ -525,7 +550,7 @@ router.put('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretar
  * @swagger
  * /events/{id}:
  *   delete:
- *     summary: Delete event (Admin & Secretary only)
+ *     summary: Delete event (requires delete_events)
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -541,18 +566,26 @@ router.put('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretar
  *       404:
  *         description: Event not found
  */
-// DELETE /api/events/:id - Delete event (Admin & Secretary only)
-router.delete('/events/:id', authenticateToken, checkRoleAccess(['Admin', 'Secretary']), async (req, res) => {
+// DELETE /api/events/:id - Delete event (delete_events)
+router.delete('/events/:id', authenticateToken, hasPermission('delete_events'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if event exists using models
-    if (!(await Event.exists(id))) {
+    const existingEvent = await Event.findById(id);
+    if (!existingEvent) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
     await Event.delete(id);
 
+    await recordAudit(req, {
+      action: 'event.deleted',
+      targetType: 'event',
+      targetId: id,
+      before: existingEvent
+    });
+
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     console.error('Delete event error:', error);
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Role = require('../models/Role');
+const { authenticateToken, hasPermission, userCan } = require('../middleware/auth');
+const { sendInvitationEmail } = require('../utils/emails');
+const { recordAudit, pickFields } = require('../utils/audit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /invitations/{code}:
+ *   get:
+ *     summary: Check an invitation code before signing up
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 role:
+ *                   type: string
+ *                 email_restricted:
+ *                   type: boolean
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Invalid, expired, revoked or used-up invitation
+ */
+// GET /api/invitations/:code - Check an invitation code (public)
+router.get('/invitations/:code', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByCode(req.params.code);
+
+    if (!Invitation.isRedeemable(invitation)) {
+      return res.status(404).json({ valid: false, error: 'Invalid or expired invitation code' });
+    }
+
+    res.json({
+      valid: true,
+      role: invitation.role,
+      email_restricted: Boolean(invitation.email),
+      expires_at: invitation.expires_at
+    });
+  } catch (error) {
+    console.error('Check invitation error:', error);
+    res.status(500).json({ error: 'Failed to check invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   post:
+ *     summary: Issue an invitation code (requires invite_members)
+ *     description: People who sign up with the code are activated immediately. Pre-assigning a role other than Member requires assign_roles.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Restrict the invitation to this address
+ *               role:
+ *                 type: string
+ *                 default: Member
+ *               max_uses:
+ *                 type: integer
+ *                 default: 1
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *               send_email:
+ *                 type: boolean
+ *                 description: Email the invitation link (requires email)
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ */
+// POST /api/admin/invitations - Issue invitation (requires invite_members)
+router.post('/admin/invitations', authenticateToken, hasPermission('invite_members'), [
+  body('email').optional({ nullable: true }).isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('role').optional().isString().notEmpty().withMessage('Invalid role'),
+  body('max_uses').optional().isInt({ min: 1, max: 1000 }).toInt().withMessage('max_uses must be between 1 and 1000'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Invalid date format'),
+  body('send_email').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role = 'Member', max_uses = 1, expires_at, send_email } = req.body;
+
+    if (!(await Role.exists(role))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    // Admins are only made through a confirmed promotion
+    if (role === 'Admin') {
+      return res.status(400).json({ error: 'Invitations cannot grant the Admin role; promote the member after they join' });
+    }
+
+    if (role !== 'Member' && !userCan(req, 'assign_roles')) {
+      return res.status(403).json({ error: 'Pre-assigning a role other than Member requires the assign_roles permission' });
+    }
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      return res.status(400).json({ error: 'expires_at must be in the future' });
+    }
+
+    if (send_email && !email) {
+      return res.status(400).json({ error: 'An email address is required to send the invitation' });
+    }
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      max_uses,
+      expires_at,
+      created_by: req.user.id
+    });
+
+    if (send_email) {
+      await sendInvitationEmail(invitation, req.user);
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.created',
+      targetType: 'invitation',
+      targetId: invitation.id,
+      after: pickFields(invitation, ['email', 'role', 'max_uses', 'expires_at'])
+    });
+
+    res.status(201).json({
+      message: 'Invitation created',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   get:
+ *     summary: List issued invitations and who redeemed them (requires invite_members)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of invitations with redemptions
+ *       403:
+ *         description: Access denied
+ */
+// GET /api/admin/invitations - List invitations (requires invite_members)
+router.get('/admin/invitations', authenticateToken, hasPermission('invite_members'), async (req, res) => {
+  try {
+    const invitations = await Invitation.findAll();
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation (requires invite_members)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found or already revoked
+ */
+// DELETE /api/admin/invitations/:id - Revoke invitation (requires invite_members)
+router.delete('/admin/invitations/:id', authenticateToken, hasPermission('invite_members'), [
+  param('id').isUUID().withMessage('Invalid invitation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await Invitation.revoke(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found or already revoked' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.revoked',
+      targetType: 'invitation',
+      targetId: invitation.id,
+      before: pickFields(invitation, ['email', 'role', 'max_uses', 'expires_at'])
+    });
+
+    res.json({ message: 'Invitation revoked', invitation });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const RoleAssignment = require('../models/RoleAssignment');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /officers:
+ *   get:
+ *     summary: Current and past office holders (public)
+ *     description: Lists terms in roles marked as offices (President and Secretary by default, see is_office on roles).
+ *     tags: [Officers]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Only terms in this role
+ *     responses:
+ *       200:
+ *         description: Office terms split into current and past, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 current:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OfficerTerm'
+ *                 past:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OfficerTerm'
+ */
+// GET /api/officers - Current and past office holders (public)
+router.get('/officers', [
+  query('role').optional().isString().trim().notEmpty().withMessage('Role must be a non-empty string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const terms = await RoleAssignment.findOfficers(req.query.role || null);
+    const toTerm = ({ role, user_id, username, firstname, lastname, effective_from, effective_to }) => ({
+      role, user_id, username, firstname, lastname, effective_from, effective_to
+    });
+
+    res.json({
+      current: terms.filter(term => !term.ended_at).map(toTerm),
+      past: terms.filter(term => term.ended_at).map(toTerm)
+    });
+  } catch (error) {
+    console.error('Get officers error:', error);
+    res.status(500).json({ error: 'Failed to get officers' });
+  }
+});
+
+module.exports = router;
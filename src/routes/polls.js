@@ -1,8 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Poll = require('../models/Poll');
-const { authenticateToken } = require('../middleware/auth');
-const checkRoleAccess = require('../middleware/roleAccess');
+const Election = require('../models/Election');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -55,6 +55,11 @@ router.get('/polls/:id', async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
+    // Election ballots are secret until voting closes; their results are served by the election
+    if (await Election.isBallot(id)) {
+      return res.status(403).json({ error: 'This poll is an election ballot, see /api/elections' });
+    }
+
     res.json({ poll });
   } catch (error) {
     console.error('Get poll error:', error);
@@ -66,7 +71,7 @@ router.get('/polls/:id', async (req, res) => {
  * @swagger
  * /polls:
  *   post:
- *     summary: Create a new poll (Authenticated users)
+ *     summary: Create a new poll (requires create_polls)
  *     tags: [Polls]
  *     security:
  *       - bearerAuth: []
@@ -97,8 +102,8 @@ router.get('/polls/:id', async (req, res) => {
  *       400:
  *         description: Validation error
  */
-// POST /api/polls - Create a new poll
-router.post('/polls', authenticateToken, [
+// POST /api/polls - Create a new poll (create_polls)
+router.post('/polls', authenticateToken, hasPermission('create_polls'), [
   body('question').notEmpty().withMessage('Question is required'),
   body('options').isArray({ min: 2 }).withMessage('At least 2 options required'),
   body('options.*').notEmpty().withMessage('Option text cannot be empty'),
@@ -134,7 +139,7 @@ router.post('/polls', authenticateToken, [
  * @swagger
  * /polls/{id}/vote:
  *   post:
- *     summary: Vote on a poll (Authenticated users)
+ *     summary: Vote on a poll (requires vote_polls)
  *     tags: [Polls]
  *     security:
  *       - bearerAuth: []
@@ -163,8 +168,8 @@ router.post('/polls', authenticateToken, [
  *       404:
  *         description: Poll or option not found
  */
-// POST /api/polls/:id/vote - Vote on a poll
-router.post('/polls/:id/vote', authenticateToken, [
+// POST /api/polls/:id/vote - Vote on a poll (vote_polls)
+router.post('/polls/:id/vote', authenticateToken, hasPermission('vote_polls'), [
   body('option_id').notEmpty().withMessage('option_id is required')
 ], async (req, res) => {
   try {
@@ -182,6 +187,11 @@ router.post('/polls/:id/vote', authenticateToken, [
       return res.status(404).json({ error: 'Poll not found' });
     }
 
+    // Ballots are cast through the election so that votes stay secret
+    if (await Election.isBallot(id)) {
+      return res.status(403).json({ error: 'This poll is an election ballot, vote through /api/elections/:id/vote' });
+    }
+
     // Record vote (or update if user already voted)
     await Poll.vote(user_id, id, option_id);
 
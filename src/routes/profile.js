@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const UserProfile = require('../models/UserProfile');
 const UserSocials = require('../models/UserSocials');
@@ -7,7 +7,8 @@ const UserAddress = require('../models/UserAddress');
 const Connection = require('../models/Connection');
 const EventAttendee = require('../models/EventAttendee');
 const pool = require('../config/database');
-const { authenticateToken, ownsResourceOrAdmin } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, hasPermission, userCan } = require('../middleware/auth');
+const { parseStatusList, membershipStatusRule } = require('../config/membership');
 
 const router = express.Router();
 
@@ -31,30 +32,10 @@ const router = express.Router();
  *         description: User not found
  */
 // GET /api/profile/:identifier - View any user's profile (supports ID or username)
-router.get('/profile/:identifier', async (req, res) => {
+router.get('/profile/:identifier', optionalAuth, async (req, res) => {
   try {
     const { identifier } = req.params;
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    let currentUserId = null;
-    let currentUserRole = 'Member';
-
-    // If user is authenticated, get their info
-    if (token) {
-      try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.userId);
-        
-        if (currentUser) {
-          currentUserId = currentUser.id;
-          currentUserRole = currentUser.role;
-        }
-      } catch (err) {
-        // Token invalid or expired, continue as unauthenticated
-      }
-    }
+    const currentUserId = req.user ? req.user.id : null;
 
     // Try to get user by ID first, then by username
     // Note: IDs can be UUIDs or VARCHAR(10) format depending on database schema
@@ -149,9 +130,7 @@ router.get('/profile/:identifier', async (req, res) => {
       : parseInt(eventsAttendedCount?.rows?.[0]?.count || 0, 10);
 
     // Determine if user can view private fields
-    const canViewPrivate = currentUserRole === 'Admin' || 
-                           currentUserRole === 'President' || 
-                           currentUserId === user.id;
+    const canViewPrivate = userCan(req, 'view_private_profiles') || currentUserId === user.id;
 
     // Build full name
     const fullName = profileData.firstname && profileData.lastname 
@@ -273,8 +252,8 @@ router.get('/profile/:identifier', async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-// POST /api/profile - Create user profile
-router.post('/profile', authenticateToken, [
+// POST /api/profile - Create user profile (edit_own_profile)
+router.post('/profile', authenticateToken, hasPermission('edit_own_profile'), [
   body('firstname').optional().isLength({ min: 1 }).trim(),
   body('lastname').optional().isLength({ min: 1 }).trim(),
   body('about').optional(),
@@ -370,8 +349,8 @@ router.post('/profile', authenticateToken, [
  *       404:
  *         description: User not found
  */
-// PUT /api/profile/:username - Update profile
-router.put('/profile/:username', authenticateToken, [
+// PUT /api/profile/:username - Update profile (edit_own_profile, or edit_any_profile for others)
+router.put('/profile/:username', authenticateToken, hasPermission(['edit_own_profile', 'edit_any_profile']), [
   body('firstname').optional().trim(),
   body('lastname').optional().trim(),
   body('about').optional(),
@@ -396,7 +375,6 @@ router.put('/profile/:username', authenticateToken, [
 
     const { username } = req.params;
     const currentUserId = req.user.id;
-    const currentUserRole = req.user.role;
 
     // Get target user using models
     const targetUser = await User.findByUsername(username);
@@ -407,10 +385,12 @@ router.put('/profile/:username', authenticateToken, [
 
     const targetUserId = targetUser.id;
 
-    // Check permission: only the user themselves, Admin, or President can update
-    if (currentUserId !== targetUserId && 
-        currentUserRole !== 'Admin' && 
-        currentUserRole !== 'President') {
+    // Check permission: users edit their own profile, others need edit_any_profile
+    const canEdit = currentUserId === targetUserId
+      ? userCan(req, 'edit_own_profile')
+      : userCan(req, 'edit_any_profile');
+
+    if (!canEdit) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -464,8 +444,8 @@ router.put('/profile/:username', authenticateToken, [
  *       404:
  *         description: User not found
  */
-// POST /api/profile/connect/:userId - Send connection request
-router.post('/profile/connect/:userId', authenticateToken, async (req, res) => {
+// POST /api/profile/connect/:userId - Send connection request (connect_members)
+router.post('/profile/connect/:userId', authenticateToken, hasPermission('connect_members'), async (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { userId } = req.params;
@@ -520,8 +500,8 @@ router.post('/profile/connect/:userId', authenticateToken, async (req, res) => {
  *       404:
  *         description: Connection request not found
  */
-// POST /api/profile/connect/:userId/accept - Accept connection request
-router.post('/profile/connect/:userId/accept', authenticateToken, async (req, res) => {
+// POST /api/profile/connect/:userId/accept - Accept connection request (connect_members)
+router.post('/profile/connect/:userId/accept', authenticateToken, hasPermission('connect_members'), async (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { userId } = req.params;
@@ -546,14 +526,31 @@ router.post('/profile/connect/:userId/accept', authenticateToken, async (req, re
  *     tags: [Profile]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: membership_status
+ *         schema:
+ *           type: string
+ *           example: active,alumni
+ *         description: Comma-separated list of applicant, active, lapsed, alumni
  *     responses:
  *       200:
  *         description: List of users retrieved successfully
+ *       400:
+ *         description: Invalid membership_status
  */
-// GET /api/users - Get all users for Network page
-router.get('/users', authenticateToken, async (req, res) => {
+// GET /api/users - Get all users for Network page (view_public_profiles)
+router.get('/users', authenticateToken, hasPermission('view_public_profiles'), [
+  membershipStatusRule(query('membership_status'))
+], async (req, res) => {
   try {
-    const users = await User.findAll();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const membershipStatuses = parseStatusList(req.query.membership_status) || null;
+    const users = await User.findAll({ membershipStatuses });
     
     // Get profile and address data for each user
     const usersWithProfiles = await Promise.all(users.map(async (user) => {
@@ -586,6 +583,7 @@ router.get('/users', authenticateToken, async (req, res) => {
         title: profileData.occupation || user.role,
         location: location,
         memberSince: memberSince,
+        membershipStatus: user.membership_status,
         avatar: null // Can be extended later with profile pictures
       };
     }));
@@ -1,8 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Timeline = require('../models/Timeline');
-const { authenticateToken } = require('../middleware/auth');
-const checkRoleAccess = require('../middleware/roleAccess');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const { recordAudit, pickFields } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -57,8 +57,8 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized
  */
-// GET /api/timeline - List all timeline posts with pagination (authenticated users only)
-router.get('/timeline', authenticateToken, async (req, res) => {
+// GET /api/timeline - List all timeline posts with pagination (view_timeline)
+router.get('/timeline', authenticateToken, hasPermission('view_timeline'), async (req, res) => {
   try {
     // Parse pagination parameters
     const page = Math.max(1, parseInt(req.query.page, 10) || 1);
@@ -93,7 +93,7 @@ router.get('/timeline', authenticateToken, async (req, res) => {
  * @swagger
  * /timeline:
  *   post:
- *     summary: Create timeline post (Admin & President only)
+ *     summary: Create timeline post (requires create_timeline_posts)
  *     tags: [Timeline]
  *     security:
  *       - bearerAuth: []
@@ -128,8 +128,8 @@ router.get('/timeline', authenticateToken, async (req, res) => {
  *       403:
  *         description: Access denied
  */
-// POST /api/timeline - Create timeline post (Admin & President only)
-router.post('/timeline', authenticateToken, checkRoleAccess(['Admin', 'President']), [
+// POST /api/timeline - Create timeline post (create_timeline_posts)
+router.post('/timeline', authenticateToken, hasPermission('create_timeline_posts'), [
   body('title').optional(),
   body('content').notEmpty().withMessage('Content is required'),
   body('image_url')
@@ -177,6 +177,13 @@ router.post('/timeline', authenticateToken, checkRoleAccess(['Admin', 'President
       author_id 
     });
 
+    await recordAudit(req, {
+      action: 'timeline_post.created',
+      targetType: 'timeline_post',
+      targetId: post.id,
+      after: pickFields(post, ['title', 'content', 'image_url', 'attachment_url', 'attachment_name'])
+    });
+
     res.status(201).json({ 
       message: 'Timeline post created successfully',
       post
@@ -191,7 +198,7 @@ router.post('/timeline', authenticateToken, checkRoleAccess(['Admin', 'President
  * @swagger
  * /timeline/{id}:
  *   put:
- *     summary: Update timeline post (Admin & President only)
+ *     summary: Update timeline post (requires update_timeline_posts)
  *     tags: [Timeline]
  *     security:
  *       - bearerAuth: []
@@ -221,8 +228,8 @@ router.post('/timeline', authenticateToken, checkRoleAccess(['Admin', 'President
  *       404:
  *         description: Timeline post not found
  */
-// PUT /api/timeline/:id - Update timeline post (Admin & President only)
-router.put('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'President']), [
+// PUT /api/timeline/:id - Update timeline post (update_timeline_posts)
+router.put('/timeline/:id', authenticateToken, hasPermission('update_timeline_posts'), [
   body('title').optional(),
   body('content').optional().notEmpty(),
   body('image_url')
@@ -261,7 +268,8 @@ router.put('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'Presid
     const { title, content, image_url, attachment_url, attachment_name } = req.body;
 
     // Check if post exists
-    if (!(await Timeline.exists(id))) {
+    const existingPost = await Timeline.findById(id);
+    if (!existingPost) {
       return res.status(404).json({ error: 'Timeline post not found' });
     }
 
@@ -276,6 +284,14 @@ router.put('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'Presid
     // Update post
     const post = await Timeline.update(id, updateFields);
 
+    await recordAudit(req, {
+      action: 'timeline_post.updated',
+      targetType: 'timeline_post',
+      targetId: id,
+      before: pickFields(existingPost, Object.keys(updateFields)),
+      after: pickFields(post, Object.keys(updateFields))
+    });
+
     res.json({ 
       message: 'Timeline post updated successfully',
       post
@@ -290,7 +306,7 @@ router.put('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'Presid
  * @swagger
  * /timeline/{id}:
  *   delete:
- *     summary: Delete timeline post (Admin & President only)
+ *     summary: Delete timeline post (requires delete_timeline_posts)
  *     tags: [Timeline]
  *     security:
  *       - bearerAuth: []
@@ -306,18 +322,26 @@ router.put('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'Presid
  *       404:
  *         description: Timeline post not found
  */
-// DELETE /api/timeline/:id - Delete timeline post (Admin & President only)
-router.delete('/timeline/:id', authenticateToken, checkRoleAccess(['Admin', 'President']), async (req, res) => {
+// DELETE /api/timeline/:id - Delete timeline post (delete_timeline_posts)
+router.delete('/timeline/:id', authenticateToken, hasPermission('delete_timeline_posts'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if post exists
-    if (!(await Timeline.exists(id))) {
+    const existingPost = await Timeline.findById(id);
+    if (!existingPost) {
       return res.status(404).json({ error: 'Timeline post not found' });
     }
 
     await Timeline.delete(id);
 
+    await recordAudit(req, {
+      action: 'timeline_post.deleted',
+      targetType: 'timeline_post',
+      targetId: id,
+      before: pickFields(existingPost, ['title', 'content', 'image_url', 'attachment_url', 'attachment_name', 'author_id', 'created_at'])
+    });
+
     res.json({ message: 'Timeline post deleted successfully' });
   } catch (error) {
     console.error('Delete timeline post error:', error);
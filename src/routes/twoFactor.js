@@ -0,0 +1,386 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+const RolePermission = require('../models/RolePermission');
+const { authenticateToken } = require('../middleware/auth');
+const { issueTokens, verifyChallengeToken } = require('../utils/tokens');
+const { createEnrolment, verifyCode, verifySecondFactor } = require('../utils/totp');
+const { checkSigninAllowed, sendThrottled, recordFailedSignin, recordSuccessfulSignin } = require('../utils/loginThrottle');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-step signin with a TOTP or recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by POST /signin
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app, or a recovery code
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *       401:
+ *         description: Invalid or expired challenge, or wrong code
+ *       423:
+ *         description: Account temporarily locked
+ *       429:
+ *         description: Too many attempts
+ */
+// POST /api/auth/2fa/verify - Second step of signin for accounts with 2FA
+router.post('/auth/2fa/verify', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token required'),
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired challenge. Please sign in again.' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const blocked = await checkSigninAllowed(user.email, req.ip);
+    if (blocked) {
+      return sendThrottled(res, blocked);
+    }
+
+    if (!(await verifySecondFactor(user.id, code))) {
+      await recordFailedSignin(user.email, req.ip);
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await recordSuccessfulSignin(user.email);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Authentication successful',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 enabled_at:
+ *                   type: string
+ *                   format: date-time
+ *                 required_by_role:
+ *                   type: boolean
+ *                 recovery_codes_remaining:
+ *                   type: integer
+ */
+// GET /api/me/2fa - Get 2FA status
+router.get('/me/2fa', authenticateToken, async (req, res) => {
+  try {
+    const [twoFactor, requiredByRole] = await Promise.all([
+      TwoFactor.findByUserId(req.user.id),
+      RolePermission.isTwoFactorRequired(req.user.role)
+    ]);
+    const enabled = Boolean(twoFactor?.enabled_at);
+
+    res.json({
+      enabled,
+      enabled_at: enabled ? twoFactor.enabled_at : null,
+      required_by_role: requiredByRole,
+      recovery_codes_remaining: enabled ? await TwoFactor.countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrolment
+ *     description: Returns a new secret with its provisioning URI and a QR code image (data URL). 2FA is not active until confirmed via POST /me/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrolment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauth_url:
+ *                   type: string
+ *                 qr_code:
+ *                   type: string
+ *       400:
+ *         description: 2FA already enabled
+ */
+// POST /api/me/2fa/setup - Generate a TOTP secret for enrolment
+router.post('/me/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const existing = await TwoFactor.findByUserId(req.user.id);
+    if (existing?.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrolment = await createEnrolment(req.user);
+    await TwoFactor.saveSecret(req.user.id, enrolment.secret);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrolment
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/2fa/enable:
+ *   post:
+ *     summary: Confirm enrolment with a code and enable 2FA
+ *     description: Returns recovery codes. They are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: No pending setup or invalid code
+ */
+// POST /api/me/2fa/enable - Verify first code and enable 2FA
+router.post('/me/2fa/enable', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const twoFactor = await TwoFactor.findByUserId(req.user.id);
+    if (!twoFactor) {
+      return res.status(400).json({ error: 'Start setup first via POST /api/me/2fa/setup' });
+    }
+    if (twoFactor.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await verifyCode(req.user.id, twoFactor.secret, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    await TwoFactor.enable(req.user.id);
+    const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code
+ *     responses:
+ *       200:
+ *         description: New recovery codes (old ones no longer work)
+ *       400:
+ *         description: 2FA not enabled or invalid code
+ */
+// POST /api/me/2fa/recovery-codes - Regenerate recovery codes
+router.post('/me/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const twoFactor = await TwoFactor.findByUserId(req.user.id);
+    if (!twoFactor?.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifyCode(req.user.id, twoFactor.secret, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * @swagger
+ * /me/2fa/disable:
+ *   post:
+ *     summary: Disable 2FA
+ *     description: Not allowed when the user's role enforces 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code or recovery code
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: 2FA is required for this role
+ */
+// POST /api/me/2fa/disable - Turn off 2FA
+router.post('/me/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password required'),
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code } = req.body;
+
+    if (await RolePermission.isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for the ${req.user.role} role` });
+    }
+
+    const twoFactor = await TwoFactor.findByUserId(req.user.id);
+    if (!twoFactor?.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const user = await User.findByEmail(req.user.email);
+    if (!(await User.verifyPassword(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, code))) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    await TwoFactor.remove(req.user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
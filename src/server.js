@@ -3,21 +3,29 @@ const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const pool = require('./config/database');
-const fs = require('fs');
-const path = require('path');
+const { startJobs } = require('./jobs');
 
 // Routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accessTokenRoutes = require('./routes/accessTokens');
+const accountRoutes = require('./routes/account');
 const profileRoutes = require('./routes/profile');
 const eventRoutes = require('./routes/events');
 const blogRoutes = require('./routes/blogs');
 const timelineRoutes = require('./routes/timeline');
 const pollRoutes = require('./routes/polls');
+const electionRoutes = require('./routes/elections');
 const adminRoutes = require('./routes/admin');
+const invitationRoutes = require('./routes/invitations');
+const officerRoutes = require('./routes/officers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trust the platform proxy so req.ip reflects the client address
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -46,44 +54,29 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api', authRoutes);
+app.use('/api', twoFactorRoutes);
+app.use('/api', accessTokenRoutes);
+app.use('/api', accountRoutes);
 app.use('/api', profileRoutes);
 app.use('/api', eventRoutes);
 app.use('/api', blogRoutes);
 app.use('/api', timelineRoutes);
 app.use('/api', pollRoutes);
+app.use('/api', electionRoutes);
 app.use('/api', adminRoutes);
+app.use('/api', invitationRoutes);
+app.use('/api', officerRoutes);
 
-// Initialize database on startup
+// Check the database on startup. The schema is created by reset-railway-database.sql and
+// existing databases are brought up to date with the scripts in migrations/ (see README).
 async function initializeDatabase() {
   try {
-    // Check connection
     await pool.query('SELECT NOW()');
     console.log('✅ Database connection established');
 
-    // Read and execute SQL initialization script
-    const sqlFile = path.join(__dirname, '../src/config/database-init.sql');
-    
-    if (fs.existsSync(sqlFile)) {
-      const sql = fs.readFileSync(sqlFile, 'utf8');
-      
-      // Split by semicolon and execute each statement
-      const statements = sql.split(';').filter(stmt => stmt.trim().length > 0);
-      
-      for (const statement of statements) {
-        if (statement.trim()) {
-          try {
-            await pool.query(statement);
-          } catch (err) {
-            // Ignore "already exists" errors
-            if (!err.message.includes('already exists') && 
-                !err.message.includes('duplicate key')) {
-              console.warn('SQL execution warning:', err.message);
-            }
-          }
-        }
-      }
-      
-      console.log('✅ Database schema initialized');
+    const result = await pool.query("SELECT to_regclass('public.roles') IS NOT NULL AS migrated");
+    if (!result.rows[0].migrated) {
+      console.warn('⚠️  The database schema is out of date. Run: node run-migration.js migrations/member-management.sql');
     }
   } catch (error) {
     console.error('❌ Database initialization error:', error.message);
@@ -110,6 +103,7 @@ app.use((req, res) => {
 app.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
   await initializeDatabase();
+  startJobs();
   console.log(`✅ API is ready at http://localhost:${PORT}/api`);
   console.log(`📚 Health check: http://localhost:${PORT}/health`);
   console.log(`📖 API Documentation: http://localhost:${PORT}/api-docs`);
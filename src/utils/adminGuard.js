@@ -0,0 +1,23 @@
+const pool = require('../config/database');
+
+// Lock the Admin rows for the rest of a transaction, so last-Admin checks can't race
+const lockAdmins = (client) => client.query("SELECT id FROM users WHERE role = 'Admin' FOR UPDATE");
+
+// Check if the user is the only active Admin left (inside a transaction when a client is passed)
+const isLastActiveAdmin = async (userId, client = pool) => {
+  const result = await client.query(
+    `SELECT u.role = 'Admin' AND u.is_active AND NOT EXISTS (
+              SELECT 1 FROM users other
+              WHERE other.role = 'Admin' AND other.is_active AND other.id <> u.id
+            ) AS last_admin
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0]?.last_admin || false;
+};
+
+module.exports = {
+  lockAdmins,
+  isLastActiveAdmin
+};
@@ -0,0 +1,35 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record a privileged action by the signed-in user (the Admin, when impersonating). The action has
+// already happened, so a failure to write the entry is logged rather than turned into an error response.
+const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null }) => {
+  const actor = req.impersonation ? req.impersonation.impersonator : req.user;
+
+  try {
+    await AuditLog.create({
+      actorId: actor.id,
+      actorUsername: actor.username,
+      action,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      before,
+      after,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// The given fields of a record, for before/after values limited to what a request changed
+const pickFields = (record, fields) => {
+  if (!record) {
+    return null;
+  }
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+};
+
+module.exports = {
+  recordAudit,
+  pickFields
+};
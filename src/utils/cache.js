@@ -0,0 +1,34 @@
+// Small in-process cache for expensive reads. Entries expire after ttlSeconds; the oldest entry is
+// dropped once maxEntries is reached. Each API instance keeps its own copy.
+const createCache = ({ ttlSeconds, maxEntries = 100 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return value;
+  };
+
+  const clear = () => entries.clear();
+
+  return { get, set, clear };
+};
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,92 @@
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a single CSV cell (RFC 4180). Text that a spreadsheet would read as a formula is
+// prefixed with ' so usernames, titles and reasons are shown as typed rather than evaluated.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value) || typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string') {
+    text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows of objects to CSV; columns default to the keys of the first row
+const toCsv = (rows, columns = null) => {
+  const headers = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+  const lines = [headers.map(escapeCell).join(',')];
+
+  rows.forEach(row => {
+    lines.push(headers.map(header => escapeCell(row[header])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Parse CSV text (RFC 4180: quoted cells may contain commas, quotes and line breaks) into rows of cells.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
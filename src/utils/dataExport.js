@@ -0,0 +1,59 @@
+const AdmZip = require('adm-zip');
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const UserSocials = require('../models/UserSocials');
+const UserAddress = require('../models/UserAddress');
+const Connection = require('../models/Connection');
+const EventAttendee = require('../models/EventAttendee');
+const Poll = require('../models/Poll');
+const Blog = require('../models/Blog');
+const Timeline = require('../models/Timeline');
+const { toCsv } = require('./csv');
+
+// Collect everything tied to a user into one object
+const buildExport = async (userId) => {
+  const [account, profile, socials, address, connections, rsvps, pollVotes, blogs, timelinePosts] = await Promise.all([
+    User.findById(userId),
+    UserProfile.findByUserId(userId),
+    UserSocials.findByUserId(userId),
+    UserAddress.findByUserId(userId),
+    Connection.findAllForUser(userId),
+    EventAttendee.findByUserId(userId),
+    Poll.findVotesByUser(userId),
+    Blog.findByAuthor(userId),
+    Timeline.findByAuthor(userId)
+  ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    account,
+    profile: profile || null,
+    socials: socials || null,
+    address: address || null,
+    connections,
+    rsvps,
+    poll_votes: pollVotes,
+    blogs,
+    timeline_posts: timelinePosts
+  };
+};
+
+// Zip archive with the JSON export and one CSV file per section
+const buildExportArchive = (data) => {
+  const zip = new AdmZip();
+  zip.addFile('export.json', Buffer.from(JSON.stringify(data, null, 2)));
+
+  Object.entries(data)
+    .filter(([section]) => section !== 'exported_at')
+    .forEach(([section, value]) => {
+      const rows = Array.isArray(value) ? value : (value ? [value] : []);
+      zip.addFile(`${section}.csv`, Buffer.from(toCsv(rows)));
+    });
+
+  return zip.toBuffer();
+};
+
+module.exports = {
+  buildExport,
+  buildExportArchive
+};
@@ -0,0 +1,194 @@
+const { sendMail, buildAppUrl } = require('./mailer');
+
+// Password reset link
+const sendPasswordResetEmail = (user, token, expiresAt) => {
+  const link = buildAppUrl('/reset-password', { token });
+  const minutes = Math.round((new Date(expiresAt) - Date.now()) / 60000);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Potluck password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your Potluck account. ` +
+      `If it was you, open the link below to choose a new password:\n\n${link}\n\n` +
+      `The link expires in ${minutes} minutes and can only be used once. ` +
+      `If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Email address verification link
+const sendVerificationEmail = (user, token) => {
+  const link = buildAppUrl('/verify-email', { token });
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email for Potluck',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm that this is your email address by opening the link below:\n\n${link}\n\n` +
+      `If you didn't sign up for Potluck, you can ignore this email.`
+  });
+};
+
+// Confirmation link sent to a requested new email address
+const sendEmailChangeConfirmation = (user, newEmail, token) => {
+  const link = buildAppUrl('/verify-email', { token });
+  return sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email for Potluck',
+    text: `Hi ${user.username},\n\n` +
+      `Open the link below to start using this address for your Potluck account:\n\n${link}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Heads-up to the old address that an email change was requested
+const sendEmailChangeNotice = (user, newEmail) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your Potluck email is being changed',
+    text: `Hi ${user.username},\n\n` +
+      `A request was made to change the email on your Potluck account to ${newEmail}. ` +
+      `If this wasn't you, reset your password straight away and contact an administrator.`
+  });
+};
+
+// Invitation to join, with a signup link carrying the code
+const sendInvitationEmail = (invitation, inviter) => {
+  const link = buildAppUrl('/signup', { invite: invitation.code });
+  const expiry = invitation.expires_at
+    ? `The invitation expires on ${new Date(invitation.expires_at).toDateString()}.`
+    : '';
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.username} invited you to Potluck`,
+    text: `Hi,\n\n` +
+      `${inviter.username} has invited you to join the Potluck community. ` +
+      `Sign up with the link below and your account will be ready to use straight away:\n\n${link}\n\n` +
+      `Invitation code: ${invitation.code}\n${expiry}`
+  });
+};
+
+// Membership application approved
+const sendApplicationApprovedEmail = (user, reason) => {
+  const link = buildAppUrl('/signin');
+  return sendMail({
+    to: user.email,
+    subject: 'Welcome to Potluck, your membership is approved',
+    text: `Hi ${user.username},\n\n` +
+      `Your Potluck membership has been approved and your account is now active. ` +
+      `You can sign in here:\n\n${link}\n` +
+      (reason ? `\nNote from the reviewer: ${reason}\n` : '')
+  });
+};
+
+// Membership application rejected, with the reviewer's reason
+const sendApplicationRejectedEmail = (user, reason) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your Potluck membership application',
+    text: `Hi ${user.username},\n\n` +
+      `Thank you for applying to join Potluck. Unfortunately your application was not approved.\n\n` +
+      `Reason: ${reason}\n\n` +
+      `If you think this is a mistake, please contact an administrator.`
+  });
+};
+
+// Confirmation that the account will be deleted, with how to cancel
+const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your Potluck account is scheduled for deletion',
+    text: `Hi ${user.username},\n\n` +
+      `Your Potluck account will be deleted on ${new Date(scheduledFor).toDateString()}. ` +
+      `Your profile and personal details will be removed and your posts will no longer show your name.\n\n` +
+      `Changed your mind? Sign in before then and cancel the deletion from your account settings.`
+  });
+};
+
+// Nomination in an election, asking the nominee to accept or decline
+const sendNominationEmail = (user, election, nominator) => {
+  const link = buildAppUrl(`/elections/${election.id}`);
+  return sendMail({
+    to: user.email,
+    subject: `You have been nominated for ${election.role}`,
+    text: `Hi ${user.username},\n\n` +
+      `${nominator.username} has nominated you for ${election.role} in "${election.title}". ` +
+      `You will only appear on the ballot if you accept the nomination before ` +
+      `${new Date(election.nominations_close_at).toUTCString()}:\n\n${link}`
+  });
+};
+
+// Welcome for a member added by an import, with a link to choose their password
+const sendImportedMemberEmail = (user, token, expiresAt, inviter) => {
+  const link = buildAppUrl('/reset-password', { token });
+  return sendMail({
+    to: user.email,
+    subject: `${inviter.username} added you to Potluck`,
+    text: `Hi ${user.username},\n\n` +
+      `${inviter.username} has created a Potluck account for you. ` +
+      `Open the link below to choose your password and sign in:\n\n${link}\n\n` +
+      `The link expires on ${new Date(expiresAt).toDateString()} and can only be used once. ` +
+      `After that, use "Forgot password" on the sign-in page.`
+  });
+};
+
+// Account suspended, with the reason and when access comes back
+const sendSuspensionEmail = (user, suspension) => {
+  const until = suspension.ends_at
+    ? `You will be able to sign in again after ${new Date(suspension.ends_at).toUTCString()}.`
+    : 'The suspension lasts until an administrator lifts it.';
+  return sendMail({
+    to: user.email,
+    subject: 'Your Potluck account has been suspended',
+    text: `Hi ${user.username},\n\n` +
+      `Your Potluck account has been suspended.\n\nReason: ${suspension.reason}\n\n${until} ` +
+      `Please contact an administrator if you have questions.`
+  });
+};
+
+// What each reviewer decision means for the author
+const BLOG_REVIEW_MESSAGES = {
+  approved: {
+    subject: 'Your blog post is published',
+    text: 'has been approved and is now published on the blog.'
+  },
+  changes_requested: {
+    subject: 'Changes requested on your blog post',
+    text: 'needs some changes before it can be published. Edit the post and submit it again when you are ready.'
+  },
+  rejected: {
+    subject: 'Your blog post was not accepted',
+    text: 'was not accepted for the blog.'
+  },
+  unpublished: {
+    subject: 'Your blog post has been unpublished',
+    text: 'has been taken down from the blog. You can revise it and submit it for review again.'
+  }
+};
+
+// Reviewer decision on a blog post, with their comment
+const sendBlogReviewEmail = (author, blog, review) => {
+  const message = BLOG_REVIEW_MESSAGES[review.to_status];
+  const link = buildAppUrl(`/blogs/${blog.id}`);
+  return sendMail({
+    to: author.email,
+    subject: message.subject,
+    text: `Hi ${author.username},\n\n` +
+      `Your post "${blog.title}" ${message.text}\n\n` +
+      (review.comment ? `Comment from the reviewer: ${review.comment}\n\n` : '') +
+      `View the post:\n\n${link}`
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendInvitationEmail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendApplicationApprovedEmail,
+  sendApplicationRejectedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendNominationEmail,
+  sendImportedMemberEmail,
+  sendSuspensionEmail,
+  sendBlogReviewEmail
+};
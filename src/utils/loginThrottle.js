@@ -0,0 +1,112 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures are counted within a sliding window
+const WINDOW_MINUTES = 15;
+
+// Per account: progressive delay after a few failures, then a lockout that doubles each time
+const ACCOUNT_DELAY_AFTER = 3;
+const ACCOUNT_MAX_DELAY_SECONDS = 60;
+const ACCOUNT_LOCK_AFTER = 10;
+const ACCOUNT_LOCK_MINUTES = 15;
+const ACCOUNT_MAX_LOCK_MINUTES = 24 * 60;
+
+// The lockout level drops back to zero after a day without failures or locks
+const LOCKOUT_DECAY_MINUTES = 24 * 60;
+
+// Per IP address: a higher threshold, since several members may share one network
+const IP_LOCK_AFTER = 50;
+const IP_LOCK_MINUTES = 15;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+// Delay required before the next attempt for a given number of failures
+const delayFor = (failedCount) => {
+  if (failedCount < ACCOUNT_DELAY_AFTER) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - ACCOUNT_DELAY_AFTER), ACCOUNT_MAX_DELAY_SECONDS);
+};
+
+// Check whether a signin attempt may proceed; returns an error response description if not
+const checkSigninAllowed = async (email, ipAddress) => {
+  const [account, ip] = await Promise.all([
+    LoginAttempt.find('account', email),
+    ipAddress ? LoginAttempt.find('ip', ipAddress) : null
+  ]);
+
+  if (account?.locked_until && new Date(account.locked_until) > new Date()) {
+    return {
+      status: 423,
+      retryAfter: secondsUntil(account.locked_until),
+      body: {
+        error: 'Account temporarily locked',
+        code: 'ACCOUNT_LOCKED',
+        message: 'Too many failed signin attempts. Try again later or reset your password.',
+        locked_until: account.locked_until
+      }
+    };
+  }
+
+  if (ip?.locked_until && new Date(ip.locked_until) > new Date()) {
+    return {
+      status: 429,
+      retryAfter: secondsUntil(ip.locked_until),
+      body: {
+        error: 'Too many signin attempts',
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed signin attempts from this network. Please wait and try again.'
+      }
+    };
+  }
+
+  if (account) {
+    const nextAllowedAt = new Date(account.last_failed_at).getTime() + delayFor(account.failed_count) * 1000;
+    if (nextAllowedAt > Date.now()) {
+      return {
+        status: 429,
+        retryAfter: secondsUntil(nextAllowedAt),
+        body: {
+          error: 'Too many signin attempts',
+          code: 'TOO_MANY_ATTEMPTS',
+          message: 'Please wait before trying again.'
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+// Send the error described by checkSigninAllowed
+const sendThrottled = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(blocked.status).json({ ...blocked.body, retry_after: blocked.retryAfter });
+};
+
+// Count a failed attempt against the account and IP, locking them when thresholds are reached
+const recordFailedSignin = async (email, ipAddress) => {
+  const account = await LoginAttempt.recordFailure('account', email, WINDOW_MINUTES, LOCKOUT_DECAY_MINUTES);
+  if (account.failed_count >= ACCOUNT_LOCK_AFTER) {
+    const minutes = Math.min(ACCOUNT_LOCK_MINUTES * 2 ** account.lockout_count, ACCOUNT_MAX_LOCK_MINUTES);
+    await LoginAttempt.lock(account.id, minutes);
+  }
+
+  if (ipAddress) {
+    const ip = await LoginAttempt.recordFailure('ip', ipAddress, WINDOW_MINUTES, LOCKOUT_DECAY_MINUTES);
+    if (ip.failed_count >= IP_LOCK_AFTER) {
+      await LoginAttempt.lock(ip.id, IP_LOCK_MINUTES);
+    }
+  }
+};
+
+// Reset the account's failure count after a successful signin; the lockout level only decays with time
+const recordSuccessfulSignin = (email) => {
+  return LoginAttempt.resetFailures('account', email);
+};
+
+module.exports = {
+  checkSigninAllowed,
+  sendThrottled,
+  recordFailedSignin,
+  recordSuccessfulSignin
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Messages delivered by the in-memory transport, readable in-process with getOutbox()
+const outbox = [];
+
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return smtpTransporter;
+};
+
+// Available transports; more can be added with registerTransport()
+const transports = {
+  smtp: async (message) => {
+    await getSmtpTransporter().sendMail(message);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox');
+    fs.mkdirSync(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    fs.writeFileSync(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  },
+  memory: async (message) => {
+    outbox.push(message);
+  }
+};
+
+// SMTP in production, files on disk elsewhere, unless MAIL_TRANSPORT picks one
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  return process.env.NODE_ENV === 'production' ? 'smtp' : 'file';
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Potluck <no-reply@potluck.com>',
+    to,
+    subject,
+    text,
+    html,
+    sent_at: new Date().toISOString()
+  };
+
+  await transport(message);
+  return message;
+};
+
+// Register a custom transport, e.g. a third-party mail API
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Build a link to the frontend app
+const buildAppUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  buildAppUrl,
+  getOutbox: () => outbox,
+  clearOutbox: () => {
+    outbox.length = 0;
+  }
+};
@@ -0,0 +1,17 @@
+const { body } = require('express-validator');
+
+// Validation chains for the member details collected at quick signup; the CSV import runs
+// the same chains against each row
+const memberFieldRules = () => [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('firstname').notEmpty().withMessage('First name is required'),
+  body('lastname').notEmpty().withMessage('Last name is required'),
+  body('middlename').optional(),
+  body('date_of_birth').optional().isISO8601().toDate(),
+  body('gender').optional().isIn(['Male', 'Female', 'Other'])
+];
+
+module.exports = {
+  memberFieldRules
+};
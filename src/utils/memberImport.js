@@ -0,0 +1,114 @@
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { parseCsv } = require('./csv');
+const { memberFieldRules } = require('./memberFields');
+
+const MAX_IMPORT_ROWS = 500;
+
+const IMPORT_COLUMNS = [
+  'email', 'username', 'firstname', 'lastname', 'middlename', 'date_of_birth', 'gender', 'role',
+  'street_number', 'street_address', 'post_code', 'county'
+];
+
+// Address columns are optional; lengths match user_addresses
+const addressRules = () => [
+  body('street_number').optional().isLength({ max: 50 }).withMessage('Street number must be at most 50 characters'),
+  body('street_address').optional().isLength({ max: 500 }).withMessage('Street address must be at most 500 characters'),
+  body('post_code').optional().isLength({ max: 50 }).withMessage('Post code must be at most 50 characters'),
+  body('county').optional().isLength({ max: 100 }).withMessage('County must be at most 100 characters')
+];
+
+// Turn CSV text into one record per member, keyed by the header row.
+// Returns { records } or { error } when the file itself is unusable.
+const parseMemberCsv = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return { error: 'The CSV needs a header row and at least one member' };
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  const unknown = headers.filter(header => !IMPORT_COLUMNS.includes(header));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} members can be imported at once` };
+  }
+
+  // Row numbers as a spreadsheet shows them: the header is row 1. Empty cells count as missing.
+  const records = rows.slice(1).map((cells, index) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      const value = (cells[column] || '').trim();
+      if (value !== '') {
+        values[header] = value;
+      }
+    });
+    return { row: index + 2, values };
+  });
+
+  return { records };
+};
+
+// Validate every record with the quick-signup rules plus role, address and uniqueness checks.
+// Returns one result per row ({ row, email, username, role, errors }) and the cleaned-up members.
+const validateMembers = async (records, { canAssignRoles }) => {
+  const results = [];
+  const members = [];
+  const seenEmails = new Map();
+  const seenUsernames = new Map();
+  const knownRoles = new Map();
+
+  for (const { row, values } of records) {
+    const req = { body: { ...values } };
+    for (const chain of [...memberFieldRules(), ...addressRules()]) {
+      await chain.run(req);
+    }
+
+    const errors = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+    const member = { ...req.body, role: req.body.role || 'Member' };
+
+    if (!knownRoles.has(member.role)) {
+      knownRoles.set(member.role, await Role.exists(member.role));
+    }
+    if (!knownRoles.get(member.role)) {
+      errors.push({ field: 'role', message: 'Invalid role' });
+    } else if (member.role === 'Admin') {
+      errors.push({ field: 'role', message: 'Imports cannot grant the Admin role; promote the member afterwards' });
+    } else if (member.role !== 'Member' && !canAssignRoles) {
+      errors.push({ field: 'role', message: 'Assigning a role other than Member requires the assign_roles permission' });
+    }
+
+    if (!errors.some(error => error.field === 'email')) {
+      if (seenEmails.has(member.email)) {
+        errors.push({ field: 'email', message: `Same email as row ${seenEmails.get(member.email)}` });
+      } else if (await User.emailExists(member.email)) {
+        errors.push({ field: 'email', message: 'Email already registered' });
+      }
+      seenEmails.set(member.email, seenEmails.get(member.email) || row);
+    }
+
+    if (!errors.some(error => error.field === 'username')) {
+      if (seenUsernames.has(member.username)) {
+        errors.push({ field: 'username', message: `Same username as row ${seenUsernames.get(member.username)}` });
+      } else if (await User.usernameExists(member.username)) {
+        errors.push({ field: 'username', message: 'Username already taken' });
+      }
+      seenUsernames.set(member.username, seenUsernames.get(member.username) || row);
+    }
+
+    results.push({ row, email: member.email, username: member.username, role: member.role, errors });
+    members.push(member);
+  }
+
+  return { results, members };
+};
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseMemberCsv,
+  validateMembers
+};
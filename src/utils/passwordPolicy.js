@@ -0,0 +1,16 @@
+const { body } = require('express-validator');
+
+const PASSWORD_MIN_LENGTH = 6;
+
+// Validation chain enforcing the password policy on a request body field
+const passwordPolicy = (field = 'password') => {
+  return body(field)
+    .isString()
+    .isLength({ min: PASSWORD_MIN_LENGTH })
+    .withMessage(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+};
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  passwordPolicy
+};
@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Sign a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Sign a short-lived token proving the password step of a two-step signin
+const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Verify a two-step signin challenge token; returns the user ID or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Sign a token that acts as another user for an Admin's impersonation; marked so it can't pass as a normal token
+const generateImpersonationToken = (impersonation) => {
+  const expiresIn = Math.max(1, Math.floor((new Date(impersonation.expires_at) - Date.now()) / 1000));
+  return jwt.sign(
+    { userId: impersonation.user_id, impersonationId: impersonation.id, purpose: 'impersonation' },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Client details recorded against a session
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Start a new session for the user and return the token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.create({
+    userId: user.id,
+    ...getClientInfo(req)
+  });
+
+  return {
+    token: generateAccessToken(user.id, session.id),
+    refreshToken,
+    sessionId: session.id
+  };
+};
+
+// Rotate the refresh token of an existing session and return the new pair
+const rotateTokens = async (session, refreshToken, req) => {
+  const rotated = await Session.rotate(session.id, refreshToken, getClientInfo(req));
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    token: generateAccessToken(session.user_id, session.id),
+    refreshToken: rotated.refreshToken,
+    sessionId: session.id
+  };
+};
+
+module.exports = {
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateImpersonationToken,
+  getClientInfo,
+  issueTokens,
+  rotateTokens
+};
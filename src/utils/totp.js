@@ -0,0 +1,53 @@
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const TwoFactor = require('../models/TwoFactor');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Potluck';
+
+// Accept codes from one step before/after to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Create a secret with its provisioning URI and a QR code (data URL) for authenticator apps
+const createEnrolment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauth_url: otpauthUrl, qr_code: qrCode };
+};
+
+// Time step a 6-digit code belongs to, or null if it doesn't match the secret
+const matchTimeStep = (secret, code) => {
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+// Check a 6-digit code against the user's secret and use it up: a code (or one from an earlier
+// step) that was already accepted is refused, so an intercepted code can't be replayed
+const verifyCode = async (userId, secret, code) => {
+  const step = matchTimeStep(secret, code);
+  return step !== null && TwoFactor.useTimeStep(userId, step);
+};
+
+// Check a TOTP code or recovery code for a user with 2FA enabled
+const verifySecondFactor = async (userId, code) => {
+  const twoFactor = await TwoFactor.findByUserId(userId);
+  if (!twoFactor || !twoFactor.enabled_at) {
+    return false;
+  }
+
+  if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+    return verifyCode(userId, twoFactor.secret, code);
+  }
+
+  return TwoFactor.consumeRecoveryCode(userId, String(code));
+};
+
+module.exports = {
+  createEnrolment,
+  verifyCode,
+  verifySecondFactor
+};